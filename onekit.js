@@ -9,17 +9,22 @@
 (function(global) {
   'use strict';
 
+  // False under Node, where only DOM-free parts (reactive, vdom strings, renderToString) are usable
+  const hasDOM = typeof window !== 'undefined' && typeof document !== 'undefined';
+
   // Global error handler
   function errorHandler(error, context = 'Unknown') {
     console.error(`OneKit Error [${context}]:`, error);
     
     // Dispatch a custom error event
-    const event = new CustomEvent('onekit-error', {
-      detail: { error, context },
-      bubbles: true,
-      cancelable: true
-    });
-    document.dispatchEvent(event);
+    if (hasDOM) {
+      const event = new CustomEvent('onekit-error', {
+        detail: { error, context },
+        bubbles: true,
+        cancelable: true
+      });
+      document.dispatchEvent(event);
+    }
     
     return null;
   }
@@ -1075,7 +1080,563 @@
       components[name] = definition;
     }
     
-    function create(name, props = {}, slots = {}) {
+    const parsedTemplates = new WeakMap();
+    const componentHooks = {};
+    const appProvides = Object.create(null);
+    // Errors no errorCaptured hook claimed, and claims thrown on to the render for their fallback
+    const unclaimed = new WeakSet();
+    const fallbacks = new WeakSet();
+    let renderingInstance = null;
+    let serverRendering = false;
+    let hydrationNode = null;
+    let hydrationState = null;
+    const blockTag = /\{\{\s*(#if|#each|else\s+if|else|\/if|\/each)\b\s*([\s\S]*?)\s*\}\}/g;
+    const eachClause = /^([\s\S]+?)(?:\s+as\s+([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?)?(?:\s+key\s+([\s\S]+))?$/;
+    
+    // Turn {{#if}} / {{#each}} markers in text into block nodes. A block must
+    // open and close within the same parent element.
+    function structure(nodes) {
+      const stack = [{ block: null, children: [] }];
+      const add = node => stack[stack.length - 1].children.push(node);
+      const close = keyword => {
+        const frame = stack.pop();
+        if (!frame.block || (keyword && frame.block.block !== keyword)) {
+          throw new SyntaxError(`Unexpected {{${keyword ? '/' + keyword : 'else'}}} in component template`);
+        }
+        return frame.block;
+      };
+      
+      nodes.forEach(node => {
+        if (node.tag !== ok.vdom.Text) {
+          add({ ...node, children: structure(node.children) });
+          return;
+        }
+        
+        let last = 0;
+        node.text.replace(blockTag, (match, keyword, expression, offset) => {
+          if (offset > last) add(ok.vdom.text(node.text.slice(last, offset)));
+          last = offset + match.length;
+          keyword = keyword.replace(/\s+/, ' ');
+          
+          if (keyword === '#if') {
+            const block = { block: 'if', branches: [{ test: expression, children: [] }] };
+            add(block);
+            stack.push({ block, children: block.branches[0].children });
+          } else if (keyword === '#each') {
+            const clause = eachClause.exec(expression);
+            if (!clause) throw new SyntaxError(`Invalid {{#each ${expression}}} in component template`);
+            const block = { block: 'each', source: clause[1], item: clause[2] || 'item', index: clause[3] || 'index', key: clause[4] || null, children: [], fallback: null };
+            add(block);
+            stack.push({ block, children: block.children });
+          } else if (keyword === '/if' || keyword === '/each') {
+            close(keyword.substring(1));
+          } else {
+            // {{else}} / {{else if}} start a new branch; {{else}} in each renders for empty lists
+            const block = close(null);
+            const children = [];
+            if (block.block === 'if') block.branches.push({ test: keyword === 'else' ? null : expression, children });
+            else block.fallback = children;
+            stack.push({ block, children });
+          }
+          return match;
+        });
+        if (last < node.text.length) add(ok.vdom.text(node.text.slice(last)));
+      });
+      
+      if (stack.length > 1) {
+        throw new SyntaxError(`Unclosed {{#${stack[stack.length - 1].block.block}}} in component template`);
+      }
+      return stack[0].children;
+    }
+    
+    // Templates are parsed once per definition; each render instantiates fresh vnodes
+    function templateNodes(definition) {
+      let nodes = parsedTemplates.get(definition);
+      if (!nodes) {
+        try {
+          nodes = structure(ok.vdom.parse(definition.template));
+        } catch (error) {
+          errorHandler(error, 'Component Template');
+          nodes = [];
+        }
+        parsedTemplates.set(definition, nodes);
+      }
+      return nodes;
+    }
+    
+    const mustache = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+    const plainPath = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+    
+    // Plain dotted paths stay forgiving: a missing link renders as ''
+    function lookup(instance, path, locals) {
+      const keys = path.split('.');
+      let value = locals.concat([instance.props, instance.state, instance.computed, instance.injected]).find(scope => keys[0] in scope) || instance.state;
+      for (const k of keys) {
+        value = value && value[k];
+      }
+      return value;
+    }
+    
+    // Template expressions see loop variables first, then props, state, computed and injected
+    // values, and the instance itself. A failing expression is reported to errorCaptured
+    // boundaries and renders as ''; a fallback replaces the component, so it goes to the render.
+    function evaluate(instance, expression, locals) {
+      expression = expression.trim();
+      try {
+        return plainPath.test(expression)
+          ? lookup(instance, expression, locals)
+          : ok.expression.evaluate(expression, locals.concat([instance.props, instance.state, instance.computed, instance.injected, instance]));
+      } catch (error) {
+        const handled = handleError(instance, error, `expression "${expression}"`);
+        if (handled && handled.fallback) {
+          fallbacks.add(handled);
+          throw handled;
+        }
+        return undefined;
+      }
+    }
+    
+    function display(value) {
+      return value !== undefined && value !== null ? String(value) : '';
+    }
+    
+    // Attribute values are set as text, so {{{ }}} behaves like {{ }} here
+    function interpolate(instance, str, locals) {
+      if (str.indexOf('{{') === -1) return str;
+      return str.replace(mustache, (match, raw, expression) => display(evaluate(instance, raw !== undefined ? raw : expression, locals)));
+    }
+    
+    // Text is escaped by rendering it as text nodes. With {{{ }}} the text is built as
+    // HTML, escaping everything but the raw output, and parsed once, so raw fragments
+    // can open and close tags around the text between them.
+    function interpolateText(instance, str, locals) {
+      if (str.indexOf('{{{') === -1) return [ok.vdom.text(interpolate(instance, str, locals))];
+      
+      let html = '';
+      let last = 0;
+      str.replace(mustache, (match, raw, expression, offset) => {
+        html += ok.utils.escapeHtml(str.slice(last, offset));
+        html += raw !== undefined
+          ? display(evaluate(instance, raw, locals))
+          : ok.utils.escapeHtml(display(evaluate(instance, expression, locals)));
+        last = offset + match.length;
+        return match;
+      });
+      html += ok.utils.escapeHtml(str.slice(last));
+      return ok.vdom.parse(html);
+    }
+    
+    // Slot vnodes are cloned on every render, since a vnode can only be mounted once
+    function cloneVnode(vnode) {
+      return { ...vnode, el: null, anchor: null, instance: null, children: (vnode.children || []).map(cloneVnode) };
+    }
+    
+    function slotNodes(instance, name) {
+      const content = instance.slots[name];
+      if (content === undefined || content === null || content === '') return null;
+      if (typeof content === 'string') return ok.vdom.parse(content);
+      return (Array.isArray(content) ? content : [content]).map(cloneVnode);
+    }
+    
+    // Map a template tag to a registered component: <ok-counter> finds "ok-counter" or
+    // "counter". Only hyphenated tags are looked up, so native elements are never shadowed.
+    function resolveComponent(tag) {
+      if (typeof tag !== 'string' || tag.indexOf('-') === -1) return null;
+      if (components[tag]) return tag;
+      const short = tag.replace(/^ok-/, '');
+      return short !== tag && components[short] ? short : null;
+    }
+    
+    // vdom hooks for child components; one object per component so same-type vnodes match
+    function hooksFor(name) {
+      if (!componentHooks[name]) {
+        componentHooks[name] = {
+          mount(vnode) {
+            const child = create(name, vnode.props.props, vnode.props.slots, renderingInstance);
+            child.$vnode = vnode;
+            vnode.instance = child;
+            if (renderingInstance && renderingInstance.mounted) callBeforeMount(child);
+            return child.element || document.createComment(name);
+          },
+          update(oldVnode, vnode) {
+            const child = oldVnode.instance;
+            vnode.instance = child;
+            vnode.el = child.element;
+            child.$vnode = vnode;
+            updateProps(child, oldVnode.props.props, vnode.props.props);
+            if (hasSlots(oldVnode.props.slots) || hasSlots(vnode.props.slots)) {
+              child.slots = vnode.props.slots;
+              child.update();
+            }
+          },
+          unmount(vnode) {
+            destroy(vnode.instance);
+          },
+          hydrate(vnode, node) {
+            hydrationNode = node;
+            return this.mount(vnode);
+          },
+          renderToString(vnode) {
+            const child = create(name, vnode.props.props, vnode.props.slots, renderingInstance);
+            vnode.instance = child;
+            return child ? instanceToString(child) : '';
+          }
+        };
+      }
+      return componentHooks[name];
+    }
+    
+    function hasSlots(slots) {
+      return Object.keys(slots).length > 0;
+    }
+    
+    // Writing into the reactive props re-renders the child only if it used what changed
+    function updateProps(child, oldProps, props) {
+      const defaults = components[child.name].props || {};
+      Object.keys(oldProps).forEach(key => {
+        if (key in props) return;
+        if (ok.utils.hasOwn(defaults, key)) child.props[key] = defaults[key];
+        else delete child.props[key];
+      });
+      Object.keys(props).forEach(key => {
+        child.props[key] = props[key];
+      });
+    }
+    
+    // Give a live instance new props; ones left out go back to their defaults
+    function setProps(instance, props) {
+      updateProps(instance, instance.props, props);
+    }
+    
+    // Modifiers that change where or how ok-on listens, which vnode listeners can't do
+    const listenerModifiers = ['outside', 'window', 'document', 'capture', 'passive'];
+    const fired = new WeakMap();
+    const warned = new Set();
+    
+    // @event="handler" - a function result is called with the event arguments,
+    // anything else runs as a statement with $event bound to the first argument
+    function eventHandler(instance, expression, locals) {
+      return (...args) => {
+        const scope = { $event: args[0], $args: args };
+        try {
+          const result = ok.expression.evaluate(expression.trim(), [scope].concat(locals, [instance.props, instance.state, instance.computed, instance.injected, instance]));
+          if (typeof result === 'function') result.apply(instance, args);
+        } catch (error) {
+          handleError(instance, error, `handler "${expression}"`);
+        }
+      };
+    }
+    
+    // <ok-counter :start="count + 1" label="Clicks {{ n }}" @change="total = $event"> -
+    // bound attributes are evaluated, plain ones interpolated; children become slots
+    function instantiateChild(instance, definition, node, name, locals) {
+      const props = {};
+      const slots = {};
+      const on = {};
+      let key;
+      
+      Object.keys(node.props).forEach(attr => {
+        if (attr[0] === '@') {
+          on[attr.substring(1).split('.')[0]] = eventHandler(instance, node.props[attr], locals);
+          return;
+        }
+        
+        const bound = attr[0] === ':';
+        const prop = bound ? attr.substring(1) : attr;
+        const value = bound ? evaluate(instance, node.props[attr], locals) : interpolate(instance, node.props[attr], locals);
+        if (prop === 'key') key = value;
+        else props[ok.utils.camelCase(prop)] = value;
+      });
+      
+      instantiate(instance, definition, node.children, locals).forEach(child => {
+        const slot = (child.props && child.props.slot) || 'default';
+        (slots[slot] = slots[slot] || []).push(child);
+      });
+      if (slots.default && slots.default.every(child => child.tag === ok.vdom.Text && !child.text.trim())) {
+        delete slots.default;
+      }
+      
+      return ok.vdom.h(hooksFor(name), { key, props, slots, on });
+    }
+    
+    function entriesOf(source) {
+      if (Array.isArray(source)) return source.map((item, i) => [item, i]);
+      if (source && typeof source === 'object') return Object.keys(source).map(key => [source[key], key]);
+      return [];
+    }
+    
+    // Blocks render as fragments so siblings keep their positions when a branch
+    // or list changes size
+    function instantiateBlock(instance, definition, node, locals) {
+      const { h, Fragment } = ok.vdom;
+      
+      if (node.block === 'if') {
+        const index = node.branches.findIndex(branch => branch.test === null || evaluate(instance, branch.test, locals));
+        const children = index === -1 ? [] : instantiate(instance, definition, node.branches[index].children, locals);
+        return h(Fragment, { key: `if-${index}` }, children);
+      }
+      
+      const entries = entriesOf(evaluate(instance, node.source, locals));
+      if (!entries.length && node.fallback) {
+        return h(Fragment, { key: 'each-empty' }, instantiate(instance, definition, node.fallback, locals));
+      }
+      
+      return h(Fragment, { key: 'each' }, entries.map(([item, index]) => {
+        const scope = { [node.item]: item, [node.index]: index };
+        const itemLocals = [scope].concat(locals);
+        const children = instantiate(instance, definition, node.children, itemLocals);
+        
+        // Items are keyed by the key clause, or by the key attribute of their first keyed element
+        const keyed = children.find(child => child.key !== null && child.key !== undefined);
+        const key = node.key ? evaluate(instance, node.key, itemLocals) : keyed && keyed.key;
+        return h(Fragment, { key }, children);
+      }));
+    }
+    
+    function instantiate(instance, definition, nodes, locals = []) {
+      const result = [];
+      
+      nodes.forEach(node => {
+        if (node.block) {
+          result.push(instantiateBlock(instance, definition, node, locals));
+          return;
+        }
+        
+        if (node.tag === ok.vdom.Text) {
+          result.push(...interpolateText(instance, node.text, locals));
+          return;
+        }
+        
+        if (node.tag === 'slot' && instance.slots) {
+          const content = slotNodes(instance, node.props.name || 'default');
+          result.push(...(content || instantiate(instance, definition, node.children, locals)));
+          return;
+        }
+        
+        const childName = resolveComponent(node.tag);
+        if (childName) {
+          result.push(instantiateChild(instance, definition, node, childName, locals));
+          return;
+        }
+        
+        const props = {};
+        Object.keys(node.props).forEach(attr => {
+          // @click.prevent="save(item)" listens; :attr="expression" binds the evaluated value
+          if (attr[0] === '@') {
+            const [event, ...names] = attr.substring(1).split('.');
+            const handler = eventHandler(instance, node.props[attr], locals);
+            const modifiers = {};
+            names.forEach(name => { modifiers[name] = true; });
+            listenerModifiers.forEach(name => {
+              const message = `The .${name} modifier is not supported on template events, use ok-on:${event}.${name}`;
+              if (modifiers[name] && !warned.has(message)) {
+                warned.add(message);
+                console.warn(message);
+              }
+            });
+            // Modifiers behave as on ok-on; .once is remembered per element across re-renders
+            props['on' + event] = (e) => {
+              const el = e.currentTarget;
+              if (modifiers.once && (fired.get(el) || []).includes(attr)) return;
+              if (!ok.directive.filterEvent(e, el, modifiers)) return;
+              if (modifiers.once) fired.set(el, (fired.get(el) || []).concat(attr));
+              handler(e);
+            };
+            return;
+          }
+          if (attr[0] === ':') {
+            props[attr.substring(1)] = evaluate(instance, node.props[attr], locals);
+            return;
+          }
+          
+          props[attr] = interpolate(instance, node.props[attr], locals);
+          
+          // data-on-<method> becomes a vnode listener, so re-renders swap it instead of stacking
+          const method = attr.startsWith('data-on-') ? attr.substring(8) : null;
+          const event = method && method.split('on')[1];
+          if (event && definition.methods && definition.methods[method]) {
+            props['on' + event] = (e) => {
+              e.preventDefault();
+              instance[method](e);
+            };
+          }
+        });
+        
+        result.push(ok.vdom.h(node.tag, props, instantiate(instance, definition, node.children, locals)));
+      });
+      
+      return result;
+    }
+    
+    // Produce the root vnode for an instance; render() may return a vnode or an HTML string
+    function renderVnode(instance, definition) {
+      if (definition.template) {
+        return rootOf(instantiate(instance, definition, templateNodes(definition)));
+      }
+      if (definition.render) {
+        return rootOf(definition.render.call(instance, ok.vdom.h));
+      }
+      return null;
+    }
+    
+    // A component renders one root element. Blocks around it ({{#if}}, {{#each}}) are
+    // looked through; when no branch has an element, an empty text node stands in.
+    function rootOf(output) {
+      const nodes = typeof output === 'string' ? ok.vdom.parse(output) : [].concat(output || []);
+      return firstElement(nodes) || nodes.find(node => node.tag === ok.vdom.Text) || (nodes.length ? ok.vdom.text('') : null);
+    }
+    
+    function firstElement(nodes) {
+      for (const node of nodes) {
+        if (node.tag === ok.vdom.Fragment) {
+          const found = firstElement(node.children || []);
+          if (found) return found;
+        } else if (node.tag !== ok.vdom.Text) {
+          return node;
+        }
+      }
+      return null;
+    }
+    
+    // Offer an error to the ancestors' errorCaptured hooks. A hook returning false claims
+    // it; a vnode or HTML string claims it too, and render and expression errors show
+    // that in place of the failed component. Unclaimed errors are remembered, so a
+    // rethrown one is not offered twice.
+    function captureError(instance, error, info) {
+      const remember = error !== null && (typeof error === 'object' || typeof error === 'function');
+      if (remember && unclaimed.has(error)) return null;
+      
+      for (let parent = instance.parent; parent; parent = parent.parent) {
+        const hook = components[parent.name].errorCaptured;
+        if (!hook) continue;
+        
+        let result;
+        try {
+          result = hook.call(parent, error, instance, info);
+        } catch (hookError) {
+          errorHandler(hookError, `Component "${parent.name}" errorCaptured`);
+        }
+        if (result === false) return { fallback: null };
+        if (typeof result === 'string' || (result && typeof result === 'object')) return { fallback: result };
+      }
+      
+      if (remember) unclaimed.add(error);
+      return null;
+    }
+    
+    // Errors no boundary claims go to the global error handler
+    function handleError(instance, error, info) {
+      const handled = captureError(instance, error, info);
+      if (!handled) errorHandler(error, `Component "${instance.name}" ${info}`);
+      return handled;
+    }
+    
+    // Lifecycle hooks run untracked, so state they read does not become a render dependency
+    function callHook(instance, name) {
+      const hook = components[instance.name][name];
+      if (!hook) return;
+      try {
+        ok.reactive.untracked(() => hook.call(instance));
+      } catch (error) {
+        handleError(instance, error, `${name} hook`);
+      }
+    }
+    
+    // Computed values are cached and exposed both as this.name and {{ name }}
+    function setupComputed(instance, definition) {
+      const refs = {};
+      
+      Object.keys(definition.computed || {}).forEach(key => {
+        const option = definition.computed[key];
+        const ref = typeof option === 'function'
+          ? ok.reactive.computed(option.bind(instance))
+          : ok.reactive.computed({ get: option.get.bind(instance), set: option.set && option.set.bind(instance) });
+        const descriptor = {
+          get: () => ref.value,
+          set: value => { ref.value = value; },
+          enumerable: true
+        };
+        
+        Object.defineProperty(instance.computed, key, descriptor);
+        Object.defineProperty(instance, key, descriptor);
+        instance._stops.push(ref.stop);
+        refs[key] = ref;
+      });
+      
+      return refs;
+    }
+    
+    // Watchers accept a function, a method name or { handler, deep, immediate, flush }
+    function setupWatchers(instance, definition, refs) {
+      Object.keys(definition.watch || {}).forEach(path => {
+        const option = definition.watch[path];
+        const handler = typeof option === 'object' ? option.handler : option;
+        const fn = typeof handler === 'string' ? instance[handler] : handler;
+        if (typeof fn !== 'function') {
+          console.error(`Invalid watcher "${path}" in component "${instance.name}"`);
+          return;
+        }
+        
+        const callback = (value, oldValue, change) => {
+          try {
+            fn.call(instance, value, oldValue, change);
+          } catch (error) {
+            handleError(instance, error, `watcher "${path}"`);
+          }
+        };
+        const options = typeof option === 'object' ? option : {};
+        instance._stops.push(refs[path]
+          ? ok.reactive.watch(refs[path], callback, options)
+          : ok.reactive.watch(instance.state, path, callback, options));
+      });
+    }
+    
+    // inject: ['store'] or { theme: 'theme', user: { from: 'currentUser', default: null } }.
+    // Values resolve lazily through the ancestors' provides, so reactive sources stay reactive.
+    function setupInject(instance, definition) {
+      const inject = definition.inject || {};
+      const entries = Array.isArray(inject) ? inject.map(key => [key, key]) : Object.keys(inject).map(key => [key, inject[key]]);
+      const provides = instance.parent ? instance.parent.provides : appProvides;
+      
+      entries.forEach(([key, option]) => {
+        const from = typeof option === 'object' && option !== null ? option.from || key : option;
+        let descriptor;
+        if (from in provides) {
+          descriptor = { get: () => provides[from], enumerable: true };
+        } else if (typeof option === 'object' && option !== null && 'default' in option) {
+          const value = typeof option.default === 'function' ? option.default.call(instance) : option.default;
+          descriptor = { value, enumerable: true };
+        } else {
+          console.warn(`Injection "${from}" not found for component "${instance.name}"`);
+          descriptor = { value: undefined, enumerable: true };
+        }
+        
+        Object.defineProperty(instance.injected, key, descriptor);
+        Object.defineProperty(instance, key, descriptor);
+      });
+    }
+    
+    // provide is an object or a function of the instance. A function runs as a computed,
+    // so values derived from state are re-provided when that state changes.
+    function setupProvide(instance, definition) {
+      instance.provides = Object.create(instance.parent ? instance.parent.provides : appProvides);
+      if (!definition.provide) return;
+      
+      const source = definition.provide;
+      const provided = ok.reactive.computed(() => (typeof source === 'function' ? source.call(instance) : source) || {});
+      instance._stops.push(provided.stop);
+      
+      Object.keys(ok.reactive.untracked(() => provided.value)).forEach(key => {
+        Object.defineProperty(instance.provides, key, { get: () => provided.value[key], enumerable: true });
+      });
+    }
+    
+    // App-wide values, visible to every component that injects them
+    function provide(key, value) {
+      appProvides[key] = value;
+    }
+    
+    function create(name, props = {}, slots = {}, parent = null) {
       if (!components[name]) {
         console.error(`Component "${name}" not found`);
         return null;
@@ -1087,100 +1648,166 @@
       
       const instance = {
         name,
-        props: finalProps,
+        props: ok.reactive.reactive(finalProps),
         slots,
-        state: definition.data ? JSON.parse(JSON.stringify(definition.data)) : {},
+        state: null,
+        computed: {},
+        injected: {},
+        provides: null,
+        parent,
+        children: [],
         element: null,
+        _vnode: null,
+        _stops: [],
+        _destroyed: false,
         mounted: false,
         listeners: []
       };
       
-      // Add methods
+      if (parent) {
+        parent.children.push(instance);
+      }
+      
+      // Component events. Subscriptions live in listeners and are dropped on destroy;
+      // handlers bound in the parent template (@event) are read from this
+      // instance's vnode so they always reflect the parent's latest render.
+      instance.on = function(event, handler) {
+        this.listeners.push({ event, handler });
+        return this;
+      };
+      
+      instance.once = function(event, handler) {
+        this.listeners.push({ event, handler, once: true });
+        return this;
+      };
+      
+      instance.off = function(event, handler) {
+        this.listeners = this.listeners.filter(listener => listener.element ||
+          (event && listener.event !== event) || (handler && listener.handler !== handler));
+        return this;
+      };
+      
+      instance.emit = function(event, ...args) {
+        const handlers = this.listeners.filter(listener => !listener.element && listener.event === event);
+        const bound = this.$vnode && this.$vnode.props.on[event];
+        if (bound) handlers.push({ handler: bound });
+        
+        handlers.forEach(listener => {
+          if (listener.once) this.listeners.splice(this.listeners.indexOf(listener), 1);
+          try {
+            listener.handler.apply(this, args);
+          } catch (error) {
+            handleError(this, error, `event "${event}"`);
+          }
+        });
+        return this;
+      };
+      
+      setupInject(instance, definition);
+      
+      // State is reactive; data may be an object (cloned per instance) or a function returning one.
+      // When hydrating, the state serialized by renderToString wins.
+      const serverState = hydrationState;
+      hydrationState = null;
+      const data = typeof definition.data === 'function'
+        ? definition.data.call(instance, finalProps)
+        : definition.data ? JSON.parse(JSON.stringify(definition.data)) : {};
+      instance.state = ok.reactive.reactive(Object.assign(data || {}, serverState));
+      
+      // Add methods. Errors, including rejected promises, go to errorCaptured boundaries;
+      // a thrown error no boundary claims is rethrown to the caller.
       if (definition.methods) {
         Object.keys(definition.methods).forEach(method => {
           instance[method] = function(...args) {
-            return definition.methods[method].call(instance, ...args);
+            try {
+              const result = definition.methods[method].call(instance, ...args);
+              if (result && typeof result.then === 'function') {
+                result.then(null, error => handleError(instance, error, `method "${method}"`));
+              }
+              return result;
+            } catch (error) {
+              if (!captureError(instance, error, `method "${method}"`)) throw error;
+            }
           };
         });
       }
-
-      // Unified update method for reactive updates
-      instance.update = function() {
-        if (this.element) {
-          let html = '';
-          if (definition.template) {
-            html = definition.template.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-              const keys = key.trim().split('.');
-              let value = this.state;
-              if (keys[0] in this.props) {
-                value = this.props;
-              }
-              for (const k of keys) {
-                value = value && value[k];
-              }
-              return value !== undefined ? value : '';
-            });
-            // Replace slots
-            html = html.replace(/<slot><\/slot>/gi, this.slots.default || '');
-            html = html.replace(/<slot name="([^"]+)"><\/slot>/gi, (match, slotName) => {
-              return this.slots[slotName] || '';
-            });
-          } else if (definition.render) {
-            html = definition.render.call(this);
-          }
-          
-          if (html) {
-            const newElement = ok(html).first().elements[0];
-            this.element.innerHTML = newElement.innerHTML;
-            
-            // Re-attach event listeners after update
-            if (definition.methods) {
-              Object.keys(definition.methods).forEach(method => {
-                const events = this.element.querySelectorAll(`[data-on-${method}]`);
-                events.forEach(el => {
-                  el.addEventListener(method.split('on')[1], (e) => {
-                    e.preventDefault();
-                    this[method](e);
-                  });
-                });
-              });
+      
+      setupWatchers(instance, definition, setupComputed(instance, definition));
+      setupProvide(instance, definition);
+      
+      // Render the first time, then patch the live element against a fresh vnode tree.
+      // Only building the vnodes is tracked; child components created while
+      // patching belong to this instance.
+      const render = function() {
+        const updating = !!this._vnode;
+        const adopt = updating ? null : hydrationNode;
+        hydrationNode = null;
+        if (updating) callHook(this, 'beforeUpdate');
+        
+        let vnode;
+        try {
+          vnode = renderVnode(this, definition);
+        } catch (error) {
+          const handled = fallbacks.has(error) ? error : handleError(this, error, 'render');
+          vnode = handled && handled.fallback ? rootOf(handled.fallback) : null;
+          if (!vnode && !updating) vnode = ok.vdom.text('');
+        }
+        if (!vnode) return;
+        
+        const outer = renderingInstance;
+        renderingInstance = this;
+        try {
+          ok.reactive.untracked(() => {
+            if (this._vnode) {
+              ok.vdom.patch(this._vnode, vnode);
+            } else if (adopt) {
+              ok.vdom.hydrate(vnode, adopt);
+            } else if (!serverRendering) {
+              ok.vdom.createElement(vnode);
             }
-          }
+          });
+        } finally {
+          renderingInstance = outer;
+        }
+        
+        const previous = this.element;
+        this._vnode = vnode;
+        this.element = vnode.el;
+        
+        if (previous && previous !== this.element) {
+          componentInstances.delete(previous);
+          componentInstances.set(this.element, this);
+          if (this.$vnode) this.$vnode.el = this.element;
+        }
+        
+        // Children added by this render are mounted once we are
+        if (this.mounted) {
+          this.children.forEach(callMounted);
         }
+        if (updating) callHook(this, 'updated');
+      }.bind(instance);
+      
+      // Rendering runs as an effect: state read while rendering is tracked, and
+      // changing it queues one batched re-render on the reactive scheduler
+      const renderJob = () => {
+        if (renderer.active) renderer();
       };
+      const renderer = ok.reactive.effect(render, { scheduler: () => ok.reactive.queueJob(renderJob) });
+      instance._stops.push(renderer.stop);
       
-      // Create element
-      let html = '';
-      if (definition.template) {
-        html = definition.template.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-          const keys = key.trim().split('.');
-          let value = instance.state;
-          if (keys[0] in instance.props) {
-            value = instance.props;
-          }
-          for (const k of keys) {
-            value = value && value[k];
-          }
-          return value !== undefined ? value : '';
-        });
-        // Replace slots
-        html = html.replace(/<slot><\/slot>/gi, instance.slots.default || '');
-        html = html.replace(/<slot name="([^"]+)"><\/slot>/gi, (match, slotName) => {
-          return instance.slots[slotName] || '';
-        });
-        instance.element = ok(html).first().elements[0];
-      } else if (definition.render) {
-        html = definition.render.call(instance);
-        instance.element = ok(html).first().elements[0];
-      }
+      // Force a re-render, e.g. after mutating something that is not reactive
+      instance.update = function() {
+        ok.reactive.queueJob(renderJob);
+        return ok.reactive.nextTick();
+      };
       
       // Add lifecycle hooks
-      if (definition.created) {
-        definition.created.call(instance);
-      }
+      callHook(instance, 'created');
       
       // Store instance
-      componentInstances.set(instance.element, instance);
+      if (instance.element) {
+        componentInstances.set(instance.element, instance);
+      }
       
       return instance;
     }
@@ -1201,27 +1828,41 @@
         return;
       }
       
+      callBeforeMount(component);
       targetElement.appendChild(component.element);
-      component.mounted = true;
-      
-      const definition = components[component.name];
-      if (definition && definition.mounted) {
-        definition.mounted.call(component);
-      }
+      callMounted(component);
       
       return component;
     }
     
+    // beforeMount runs parent first, right before the elements enter the page
+    function callBeforeMount(component) {
+      if (component.mounted) return;
+      callHook(component, 'beforeMount');
+      component.children.forEach(callBeforeMount);
+    }
+    
+    // Children are mounted before their parent
+    function callMounted(component) {
+      component.children.forEach(callMounted);
+      if (component.mounted) return;
+      component.mounted = true;
+      callHook(component, 'mounted');
+    }
+    
     function getInstance(element) {
       return componentInstances.get(element);
     }
     
     function destroy(component) {
-      if (!component || !component.element) return;
+      if (!component || !component.element || component._destroyed) return;
+      component._destroyed = true;
       
-      const definition = components[component.name];
-      if (definition && definition.beforeDestroy) {
-        definition.beforeDestroy.call(component);
+      callHook(component, 'beforeDestroy');
+      component.children.slice().forEach(destroy);
+      if (component.parent) {
+        const siblings = component.parent.children;
+        if (siblings.includes(component)) siblings.splice(siblings.indexOf(component), 1);
       }
       
       if (component.element.parentNode) {
@@ -1229,123 +1870,2918 @@
       }
       
       component.listeners.forEach(({ element, event, handler }) => {
-        element.removeEventListener(event, handler);
+        if (element) element.removeEventListener(event, handler);
       });
+      component.listeners = [];
+      
+      // Stop the render effect, computed values and watchers
+      component._stops.forEach(stop => stop());
       
       componentInstances.delete(component.element);
       component.mounted = false;
+      callHook(component, 'destroyed');
     }
     
-    ok.component = { register, create, mount, getInstance, destroy };
-  });
-
-  // Reactive State Management Module
-  ok.module('reactive', function() {
-    const state = {};
-    const watchers = {};
+    // Attribute strings are converted to the type of the prop's default value
+    function coerceAttribute(value, fallback) {
+      if (value === null) return typeof fallback === 'boolean' ? false : fallback;
+      if (typeof fallback === 'boolean') return value !== 'false';
+      if (typeof fallback === 'number') return Number(value);
+      if (fallback !== null && typeof fallback === 'object') {
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return fallback;
+        }
+      }
+      return value;
+    }
     
-    function reactive(obj) {
-      const reactiveObj = {};
+    // Light DOM children become slot HTML: elements with slot="x" fill named slots
+    function collectSlots(host) {
+      const slots = {};
+      Array.from(host.childNodes).forEach(node => {
+        const name = (node.nodeType === 1 && node.getAttribute('slot')) || 'default';
+        const html = node.nodeType === 1 ? node.outerHTML : node.nodeType === 3 ? ok.utils.escapeHtml(node.textContent) : '';
+        slots[name] = (slots[name] || '') + html;
+      });
+      if (slots.default !== undefined && !slots.default.trim()) delete slots.default;
+      host.textContent = '';
+      return slots;
+    }
+    
+    // Expose a component as a native Custom Element, e.g. <ok-user-card name="x">.
+    // Attributes and element properties map to props. With { shadow: true } it renders
+    // into an open shadow root, where native <slot>s project the light DOM and the
+    // theme's --ok-* variables are inherited.
+    function define(tagName, definition, options = {}) {
+      if (typeof window.customElements === 'undefined') {
+        console.error('Custom Elements are not supported in this browser');
+        return null;
+      }
+      
+      const name = typeof definition === 'string' ? definition : tagName;
+      if (typeof definition !== 'string') {
+        register(tagName, definition);
+      }
+      definition = components[name];
+      if (!definition) {
+        console.error(`Component "${name}" not found`);
+        return null;
+      }
+      if (window.customElements.get(tagName)) {
+        console.warn(`Custom element "${tagName}" is already defined`);
+        return window.customElements.get(tagName);
+      }
+      
+      const defaults = definition.props || {};
+      const propNames = Object.keys(defaults);
+      
+      class OneKitElement extends HTMLElement {
+        static get observedAttributes() {
+          return propNames.map(ok.utils.kebabCase);
+        }
+        
+        connectedCallback() {
+          if (this._okInstance) return;
+          
+          // Properties set before the element was upgraded shadow our accessors
+          propNames.forEach(key => {
+            if (ok.utils.hasOwn(this, key)) {
+              const value = this[key];
+              delete this[key];
+              this[key] = value;
+            }
+          });
+          
+          const props = { ...this._okProps };
+          propNames.forEach(key => {
+            const attr = ok.utils.kebabCase(key);
+            if (!(key in props) && this.hasAttribute(attr)) {
+              props[key] = coerceAttribute(this.getAttribute(attr), defaults[key]);
+            }
+          });
+          
+          if (options.shadow && !this.shadowRoot) {
+            const style = document.createElement('style');
+            style.textContent = `:host { display: block; color: var(--ok-text, #333333); } :host([hidden]) { display: none; }${definition.styles || ''}`;
+            this.attachShadow({ mode: 'open' }).appendChild(style);
+          } else if (!options.shadow && !this._okSlots) {
+            this._okSlots = collectSlots(this);
+          }
+          
+          // null slots render <slot> elements as-is for native projection
+          const instance = create(name, props, options.shadow ? null : this._okSlots);
+          if (!instance || !instance.element) return;
+          
+          // Emitted events are also dispatched on the host for non-OneKit listeners
+          const emit = instance.emit;
+          instance.emit = (event, ...args) => {
+            emit.call(instance, event, ...args);
+            this.dispatchEvent(new CustomEvent(event, { detail: args[0] }));
+            return instance;
+          };
+          
+          this._okInstance = instance;
+          this._okProps = null;
+          callBeforeMount(instance);
+          (this.shadowRoot || this).appendChild(instance.element);
+          componentInstances.set(this, instance);
+          callMounted(instance);
+        }
+        
+        disconnectedCallback() {
+          // Wait a microtask, so moving the element does not destroy it
+          Promise.resolve().then(() => {
+            if (this.isConnected || !this._okInstance) return;
+            componentInstances.delete(this);
+            destroy(this._okInstance);
+            this._okInstance = null;
+          });
+        }
+        
+        attributeChangedCallback(attr, oldValue, value) {
+          if (!this._okInstance) return;
+          const key = ok.utils.camelCase(attr);
+          this._okInstance.props[key] = coerceAttribute(value, defaults[key]);
+        }
+      }
+      
+      // Props are also element properties, so frameworks can pass objects and arrays
+      propNames.forEach(key => {
+        if (key in HTMLElement.prototype) return;
+        Object.defineProperty(OneKitElement.prototype, key, {
+          get() {
+            return this._okInstance ? this._okInstance.props[key] : (this._okProps || {})[key];
+          },
+          set(value) {
+            if (this._okInstance) {
+              this._okInstance.props[key] = value;
+            } else {
+              this._okProps = { ...this._okProps, [key]: value };
+            }
+          },
+          configurable: true
+        });
+      });
+      
+      window.customElements.define(tagName, OneKitElement);
+      return OneKitElement;
+    }
+    
+    // Dispose a component tree that never reached the DOM
+    function release(instance) {
+      instance.children.forEach(release);
+      instance._stops.forEach(stop => stop());
+    }
+    
+    // Render a component tree to HTML without a DOM, e.g. under Node. The root element
+    // carries data-ok-* attributes, so hydrate() can revive it on the client.
+    function renderToString(name, props = {}, slots = {}) {
+      const outer = serverRendering;
+      serverRendering = true;
+      let instance = null;
+      
+      try {
+        instance = create(name, props, slots);
+        if (!instance || !instance._vnode) return '';
+        
+        const vnode = instance._vnode;
+        if (typeof vnode.tag === 'string' && vnode.tag !== ok.vdom.Text && vnode.tag !== ok.vdom.Fragment) {
+          vnode.props = {
+            ...vnode.props,
+            'data-ok-component': name,
+            'data-ok-props': JSON.stringify(props),
+            'data-ok-state': JSON.stringify(ok.reactive.toRaw(instance.state))
+          };
+        }
+        return instanceToString(instance);
+      } finally {
+        serverRendering = outer;
+        if (instance) release(instance);
+      }
+    }
+    
+    function instanceToString(instance) {
+      const outer = renderingInstance;
+      renderingInstance = instance;
+      try {
+        return ok.vdom.renderToString(instance._vnode);
+      } finally {
+        renderingInstance = outer;
+      }
+    }
+    
+    // Bring server-rendered markup to life: each outermost [data-ok-component] element in
+    // root gets an instance with the serialized props and state, adopting the existing DOM
+    function hydrate(root = document) {
+      const rootElement = typeof root === 'string' ? ok(root).first().elements[0] : root;
+      if (!rootElement) {
+        console.error('Invalid hydration root');
+        return [];
+      }
+      
+      const marked = Array.from(rootElement.querySelectorAll('[data-ok-component]'));
+      if (rootElement.matches && rootElement.matches('[data-ok-component]')) marked.unshift(rootElement);
+      
+      return marked
+        .filter(el => !el.parentElement || !el.parentElement.closest('[data-ok-component]') || el === rootElement)
+        .map(el => {
+          const name = el.getAttribute('data-ok-component');
+          let props = {};
+          try {
+            props = JSON.parse(el.getAttribute('data-ok-props') || '{}');
+            hydrationState = JSON.parse(el.getAttribute('data-ok-state') || 'null');
+          } catch (error) {
+            errorHandler(error, `Hydrating component "${name}"`);
+          }
+          
+          hydrationNode = el;
+          const instance = create(name, props);
+          hydrationNode = null;
+          hydrationState = null;
+          if (!instance) return null;
+          
+          callBeforeMount(instance);
+          callMounted(instance);
+          return instance;
+        })
+        .filter(Boolean);
+    }
+    
+    ok.component = { register, create, mount, getInstance, setProps, destroy, define, provide, renderToString, hydrate };
+  });
+
+  // Reactive State Management Module
+  ok.module('reactive', function() {
+    const state = {};
+    const watchers = {};
+    const proxies = new WeakMap();
+    const owners = new WeakMap();
+    const listeners = new WeakMap();
+    const targetDeps = new WeakMap();
+    const RAW = Symbol('ok.raw');
+    const ITERATE = Symbol('ok.iterate');
+    const COMPUTED = Symbol('ok.computed');
+    const MAX_JOB_RUNS = 100;
+    let activeEffect = null;
+    
+    // Scheduler state: jobs run once per microtask, in the order they were queued
+    const queue = [];
+    const queued = new Set();
+    const pendingGlobal = new Map();
+    const resolvedPromise = Promise.resolve();
+    let flushPromise = null;
+    let batchDepth = 0;
+    const arrayMutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+    const arraySearches = ['indexOf', 'lastIndexOf', 'includes'];
+    
+    // Only plain objects and arrays are made reactive when nested
+    function isObservable(value) {
+      if (value === null || typeof value !== 'object') return false;
+      if (Array.isArray(value)) return true;
+      const proto = Object.getPrototypeOf(value);
+      return proto === null || Object.getPrototypeOf(proto) === null;
+    }
+    
+    function isFixed(target, key) {
+      const descriptor = Object.getOwnPropertyDescriptor(target, key);
+      return !descriptor.configurable && descriptor.writable === false;
+    }
+    
+    function toRaw(value) {
+      return (value && value[RAW]) || value;
+    }
+    
+    function isReactive(value) {
+      return !!(value && value[RAW]);
+    }
+    
+    function wrap(value) {
+      return isObservable(value) ? reactive(value) : value;
+    }
+    
+    // Split a dotted path ('user.tags.0') into keys
+    function splitPath(path) {
+      return path === '' ? [] : String(path).split('.');
+    }
+    
+    function getPath(obj, keys) {
+      let value = obj;
+      for (const k of keys) {
+        if (value === null || value === undefined) return undefined;
+        value = value[k];
+      }
+      return value;
+    }
+    
+    // Walk up every owner chain from target. Each entry holds an ancestor and the
+    // path from it down to target; an object shared under two paths appears once per
+    // path. roots are the top-level entries; chains through stale owners are dropped.
+    function ancestors(target) {
+      const chain = [];
+      const roots = [];
+      
+      const visit = (obj, path, trail) => {
+        chain.push({ obj, path });
+        const links = owners.get(obj);
+        if (!links || !links.length) {
+          roots.push({ obj, path });
+          return;
+        }
+        
+        const live = links.filter(({ parent, key }) => {
+          // Array indexes shift, so look the child up instead of trusting the stored key
+          if (Array.isArray(parent)) return parent.indexOf(obj) !== -1;
+          return parent[key] === obj;
+        });
+        // Keep stale links while nothing else owns obj, so it stays detached
+        if (live.length) owners.set(obj, live);
+        
+        live.forEach(({ parent, key }) => {
+          if (trail.has(parent)) return;
+          const step = Array.isArray(parent) ? String(parent.indexOf(obj)) : key;
+          visit(parent, [step].concat(path), new Set(trail).add(parent));
+        });
+      };
+      
+      visit(target, [], new Set([target]));
+      return { chain, roots };
+    }
+    
+    function adopt(value, parent, key) {
+      if (!isObservable(value)) return;
+      
+      const links = owners.get(value);
+      if (!links) {
+        owners.set(value, [{ parent, key }]);
+      } else if (!links.some(link => link.parent === parent && (Array.isArray(parent) || link.key === key))) {
+        links.push({ parent, key });
+      }
+    }
+    
+    // Relate a changed path to a watched one: 'self', 'child' (something inside
+    // the watched value changed) or 'parent' (an ancestor was replaced)
+    function relate(changed, watched) {
+      const length = Math.min(changed.length, watched.length);
+      for (let i = 0; i < length; i++) {
+        if (changed[i] !== watched[i]) return null;
+      }
+      if (changed.length === watched.length) return 'self';
+      return changed.length > watched.length ? 'child' : 'parent';
+    }
+    
+    function addListener(target, listener) {
+      if (!listeners.has(target)) {
+        listeners.set(target, new Set());
+      }
+      listeners.get(target).add(listener);
+      
+      return function() {
+        listeners.get(target).delete(listener);
+      };
+    }
+    
+    function notify(target, key, type, value, oldValue) {
+      trigger(target, key, type);
+      
+      const { chain, roots } = ancestors(target);
+      
+      chain.forEach(({ obj, path }) => {
+        const set = listeners.get(obj);
+        if (!set) return;
+        
+        const keys = key === undefined ? path : path.concat(String(key));
+        const change = { path: keys.join('.'), type, value: wrap(value), oldValue: wrap(oldValue) };
+        set.forEach(listener => listener(keys, change));
+      });
+      
+      roots.forEach(({ obj, path }) => {
+        notifyGlobal(obj, key === undefined ? path : path.concat(String(key)), type, value, oldValue);
+      });
+    }
+    
+    // Legacy key-name watchers, shared by every reactive object
+    function notifyGlobal(root, keys, type, value, oldValue) {
+      const info = { path: keys.join('.'), type };
+      
+      Object.keys(watchers).forEach(watched => {
+        const watchedKeys = splitPath(watched);
+        const relation = relate(keys, watchedKeys);
+        let newVal, oldVal;
+        
+        if (relation === 'self') {
+          newVal = wrap(value);
+          oldVal = wrap(oldValue);
+        } else if (relation === 'child') {
+          // The watched object was mutated in place
+          newVal = oldVal = wrap(getPath(root, watchedKeys));
+        } else if (relation === 'parent') {
+          const rest = watchedKeys.slice(keys.length);
+          newVal = wrap(getPath(value, rest));
+          oldVal = wrap(getPath(oldValue, rest));
+          if (Object.is(newVal, oldVal)) return;
+        } else {
+          return;
+        }
+        
+        watchers[watched].forEach(watcher => {
+          deliverGlobal(watcher, newVal, oldVal, info);
+        });
+      });
+    }
+    
+    // Coalesce legacy watcher calls: the first old value and the latest new value win
+    function deliverGlobal(watcher, newVal, oldVal, info) {
+      const pending = pendingGlobal.get(watcher);
+      if (pending) {
+        pending.newVal = newVal;
+        pending.info = info;
+        return;
+      }
+      
+      pendingGlobal.set(watcher, { newVal, oldVal, info });
+      queueJob(() => {
+        const call = pendingGlobal.get(watcher);
+        if (!call) return;
+        pendingGlobal.delete(watcher);
+        watcher(call.newVal, call.oldVal, call.info);
+      });
+    }
+    
+    // Queue a job for the next flush; a job already waiting is not queued twice
+    function queueJob(job) {
+      if (queued.has(job)) return;
+      
+      queued.add(job);
+      queue.push(job);
+      if (!flushPromise) {
+        const promise = flushPromise = resolvedPromise.then(() => {
+          // batch() may have flushed this round already; a later round has its own promise
+          if (flushPromise === promise) flushJobs();
+        });
+      }
+    }
+    
+    function flushJobs() {
+      const runs = new Map();
+      
+      try {
+        while (queue.length) {
+          const job = queue.shift();
+          queued.delete(job);
+          
+          // A job that keeps re-queueing itself is an update loop
+          const count = (runs.get(job) || 0) + 1;
+          runs.set(job, count);
+          if (count > MAX_JOB_RUNS) {
+            errorHandler(new Error('Maximum recursive updates exceeded'), 'Reactive Scheduler');
+            continue;
+          }
+          
+          try {
+            job();
+          } catch (error) {
+            errorHandler(error, 'Reactive Scheduler');
+          }
+        }
+      } finally {
+        flushPromise = null;
+      }
+    }
+    
+    // Run fn and flush everything it queued synchronously, once, when it returns
+    function batch(fn) {
+      batchDepth++;
+      try {
+        return fn();
+      } finally {
+        batchDepth--;
+        if (batchDepth === 0) {
+          flushJobs();
+        }
+      }
+    }
+    
+    // Resolves after pending watchers, effects and component updates have run
+    function nextTick(fn) {
+      const promise = flushPromise || resolvedPromise;
+      return fn ? promise.then(fn) : promise;
+    }
+    
+    // Dependency tracking: effects record the (object, key) pairs they read
+    function createEffect(fn, scheduler) {
+      const runner = function() {
+        if (!runner.active) return fn();
+        
+        cleanupEffect(runner);
+        const previous = activeEffect;
+        activeEffect = runner;
+        try {
+          return fn();
+        } finally {
+          activeEffect = previous;
+        }
+      };
+      
+      runner.deps = [];
+      runner.active = true;
+      runner.scheduler = scheduler;
+      runner.stop = function() {
+        cleanupEffect(runner);
+        runner.active = false;
+      };
+      
+      return runner;
+    }
+    
+    function cleanupEffect(runner) {
+      runner.deps.forEach(dep => dep.delete(runner));
+      runner.deps.length = 0;
+    }
+    
+    function untracked(fn) {
+      const previous = activeEffect;
+      activeEffect = null;
+      try {
+        return fn();
+      } finally {
+        activeEffect = previous;
+      }
+    }
+    
+    function track(target, key) {
+      if (!activeEffect) return;
+      
+      let depsMap = targetDeps.get(target);
+      if (!depsMap) {
+        targetDeps.set(target, depsMap = new Map());
+      }
+      let dep = depsMap.get(key);
+      if (!dep) {
+        depsMap.set(key, dep = new Set());
+      }
+      if (!dep.has(activeEffect)) {
+        dep.add(activeEffect);
+        activeEffect.deps.push(dep);
+      }
+    }
+    
+    function trigger(target, key, type) {
+      const depsMap = targetDeps.get(target);
+      if (!depsMap) return;
+      
+      const effects = new Set();
+      const add = dep => {
+        if (dep) dep.forEach(e => { if (e !== activeEffect) effects.add(e); });
+      };
+      
+      if (type === 'array' || (Array.isArray(target) && key === 'length')) {
+        depsMap.forEach(add);
+      } else {
+        add(depsMap.get(String(key)));
+        if (type === 'add' || type === 'delete') {
+          add(depsMap.get(ITERATE));
+          add(depsMap.get('length'));
+        }
+      }
+      
+      effects.forEach(e => e.scheduler ? e.scheduler(e) : e());
+    }
+    
+    // Read every nested property so a deep watcher depends on all of them
+    function traverse(value, seen = new Set()) {
+      if (value === null || typeof value !== 'object' || seen.has(value)) return value;
+      seen.add(value);
+      if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) traverse(value[i], seen);
+      } else {
+        Object.keys(value).forEach(k => traverse(value[k], seen));
+      }
+      return value;
+    }
+    
+    const handlers = {
+      get(target, key, receiver) {
+        if (key === RAW) return target;
+        
+        if (key === '$watch' && !(key in target)) {
+          return function(source, callback, options) {
+            return typeof source === 'function'
+              ? watch(() => source.call(receiver, receiver), callback, options)
+              : watch(receiver, source, callback, options);
+          };
+        }
+        
+        const value = Reflect.get(target, key, receiver);
+        if (typeof key === 'symbol') return value;
+        
+        // Array mutators run on the raw array and notify once for the whole operation
+        if (Array.isArray(target) && arrayMutators.includes(key)) {
+          return function(...args) {
+            const rawArgs = args.map(toRaw);
+            const result = Array.prototype[key].apply(target, rawArgs);
+            rawArgs.forEach(arg => adopt(arg, target));
+            notify(target, undefined, 'array', target, target);
+            return result;
+          };
+        }
+        
+        // Searches compare raw items, so both raw values and proxies are found
+        if (Array.isArray(target) && arraySearches.includes(key)) {
+          return function(...args) {
+            track(target, 'length');
+            for (let i = 0; i < target.length; i++) track(target, String(i));
+            return Array.prototype[key].apply(target, args.map(toRaw));
+          };
+        }
+        
+        track(target, key);
+        
+        // A proxy can't stand in for a frozen or read-only, non-configurable property's
+        // value (the Proxy invariants forbid it), so those are returned raw
+        if (isObservable(value) && ok.utils.hasOwn(target, key) && Object.isExtensible(value) && !isFixed(target, key)) {
+          adopt(value, target, key);
+          return reactive(value);
+        }
+        
+        return value;
+      },
+      
+      set(target, key, value, receiver) {
+        const rawValue = toRaw(value);
+        const hadKey = Array.isArray(target) && typeof key !== 'symbol' && /^\d+$/.test(key) ? Number(key) < target.length : ok.utils.hasOwn(target, key);
+        const oldValue = target[key];
+        const result = Reflect.set(target, key, rawValue, receiver);
+        
+        if (!result || typeof key === 'symbol') return result;
+        
+        adopt(rawValue, target, key);
+        if (!hadKey) {
+          notify(target, key, 'add', rawValue, undefined);
+        } else if (!Object.is(oldValue, rawValue)) {
+          notify(target, key, 'set', rawValue, oldValue);
+        }
+        return result;
+      },
+      
+      deleteProperty(target, key) {
+        const hadKey = ok.utils.hasOwn(target, key);
+        const oldValue = target[key];
+        const result = Reflect.deleteProperty(target, key);
+        
+        if (result && hadKey && typeof key !== 'symbol') {
+          notify(target, key, 'delete', undefined, oldValue);
+        }
+        return result;
+      },
+      
+      has(target, key) {
+        if (typeof key !== 'symbol') track(target, key);
+        return Reflect.has(target, key);
+      },
+      
+      ownKeys(target) {
+        track(target, Array.isArray(target) ? 'length' : ITERATE);
+        return Reflect.ownKeys(target);
+      }
+    };
+    
+    // Wrap an object in a deep reactive proxy. Nested plain objects and arrays
+    // are proxied lazily on access, so the same object always yields the same proxy.
+    function reactive(obj) {
+      if (obj === null || typeof obj !== 'object') return obj;
+      
+      const raw = toRaw(obj);
+      if (proxies.has(raw)) return proxies.get(raw);
+      
+      const proxy = new Proxy(raw, handlers);
+      proxies.set(raw, proxy);
+      return proxy;
+    }
+    
+    // Run fn now and again whenever a reactive property it read changes. Re-runs
+    // are batched into the next microtask unless flush is 'sync'.
+    // Options: lazy (don't run until the runner is called), flush ('sync'),
+    // scheduler(runner) (called instead of re-running, to decide when it runs).
+    // Returns the runner; runner.stop() or stop(runner) disposes it.
+    function effect(fn, options = {}) {
+      let scheduler = options.scheduler;
+      if (!scheduler && options.flush !== 'sync') {
+        const job = () => {
+          if (runner.active) runner();
+        };
+        scheduler = () => queueJob(job);
+      }
+      
+      const runner = createEffect(fn, scheduler);
+      if (!options.lazy) {
+        runner();
+      }
+      return runner;
+    }
+    
+    function stop(runner) {
+      if (runner && typeof runner.stop === 'function') {
+        runner.stop();
+      }
+    }
+    
+    // A cached value derived from reactive state. The getter runs lazily on the
+    // first read of .value and again only after something it read has changed.
+    // Pass { get, set } for a writable computed. Options: scheduler(notify)
+    // decides when dependents of this computed are told it changed.
+    function computed(getterOrOptions, options = {}) {
+      const getter = typeof getterOrOptions === 'function' ? getterOrOptions : getterOrOptions.get;
+      const setter = typeof getterOrOptions === 'function' ? null : getterOrOptions.set;
+      const ref = { [COMPUTED]: true };
+      let value;
+      let dirty = true;
+      
+      const notifyDependents = () => trigger(ref, 'value', 'set');
+      const runner = createEffect(getter, () => {
+        if (dirty) return;
+        dirty = true;
+        if (options.scheduler) {
+          options.scheduler(notifyDependents);
+        } else {
+          notifyDependents();
+        }
+      });
+      
+      Object.defineProperty(ref, 'value', {
+        get() {
+          if (dirty) {
+            value = runner();
+            dirty = false;
+          }
+          track(ref, 'value');
+          return value;
+        },
+        set(newValue) {
+          if (setter) {
+            setter(newValue);
+          } else {
+            console.warn('Computed value is read-only');
+          }
+        }
+      });
+      
+      ref.stop = runner.stop;
+      return ref;
+    }
+    
+    // Watch a reactive source for changes:
+    //   watch(obj, 'user.name', cb, options) - a path inside a reactive object
+    //   watch(obj, cb, options)              - the whole object (always deep)
+    //   watch(() => obj.a + obj.b, cb, options) - a getter, re-run when what it reads changes
+    //   watch(computedValue, cb, options)    - a computed()
+    //   watch('count', cb)                   - legacy: that key on every reactive object
+    // Options: deep (also fire on nested mutations), immediate (call cb right away),
+    // flush ('sync' to call cb on every change instead of once per microtask).
+    // Returns a function that stops watching.
+    function watch(source, path, callback, options) {
+      if (typeof source === 'string') {
+        return watchKey(source, path);
+      }
+      if (typeof source === 'function') {
+        return watchGetter(source, path, callback || {});
+      }
+      if (source && source[COMPUTED]) {
+        return watchGetter(() => source.value, path, callback || {});
+      }
+      if (typeof path === 'function') {
+        return watchPath(source, '', path, { ...(callback || {}), deep: true });
+      }
+      return watchPath(source, path, callback, options || {});
+    }
+    
+    function watchPath(obj, path, callback, options) {
+      const target = reactive(obj);
+      const keys = splitPath(path);
+      let value = untracked(() => getPath(target, keys));
+      let pending = null;
+      let active = true;
+      
+      const job = () => {
+        if (!active || !pending) return;
+        const { change, force } = pending;
+        pending = null;
+        
+        const oldValue = value;
+        value = untracked(() => getPath(target, keys));
+        if (!force && Object.is(value, oldValue)) return;
+        
+        callback(value, oldValue, change);
+      };
+      
+      const removeListener = addListener(toRaw(target), (changed, change) => {
+        const relation = relate(changed, keys);
+        if (!relation || (relation === 'child' && !options.deep)) return;
+        
+        // In-place mutations keep the same value but must still be reported
+        const force = relation === 'child' || (relation === 'self' && change.type === 'array');
+        pending = { change, force: force || !!(pending && pending.force) };
+        
+        if (options.flush === 'sync') {
+          job();
+        } else {
+          queueJob(job);
+        }
+      });
+      
+      if (options.immediate) {
+        callback(value, undefined, null);
+      }
+      
+      return function() {
+        active = false;
+        removeListener();
+      };
+    }
+    
+    function watchGetter(getter, callback, options) {
+      let value;
+      const job = () => {
+        if (!runner.active) return;
+        const oldValue = value;
+        value = runner();
+        if (options.deep || !Object.is(value, oldValue)) {
+          callback(value, oldValue, null);
+        }
+      };
+      const runner = createEffect(() => {
+        const result = getter();
+        return options.deep ? traverse(result) : result;
+      }, () => {
+        if (options.flush === 'sync') {
+          job();
+        } else {
+          queueJob(job);
+        }
+      });
+      
+      value = runner();
+      if (options.immediate) {
+        callback(value, undefined, null);
+      }
+      
+      return runner.stop;
+    }
+    
+    function watchKey(key, callback) {
+      if (!watchers[key]) {
+        watchers[key] = [];
+      }
+      watchers[key].push(callback);
+      
+      return function() {
+        const index = watchers[key].indexOf(callback);
+        if (index > -1) {
+          watchers[key].splice(index, 1);
+        }
+        pendingGlobal.delete(callback);
+      };
+    }
+    
+    // Two-way bind a form control to a path in a reactive object:
+    //   bind('#name', state, 'user.name', { lazy, number, trim })
+    // Handles text inputs, textareas, checkboxes (boolean or array of values),
+    // radios, single and multiple selects, and contenteditable elements.
+    // Modifiers: lazy (sync on change instead of input), number, trim.
+    // Returns a function that removes the binding.
+    function bind(element, source, path, options = {}) {
+      if (typeof source === 'string') {
+        return bindKey(element, source, path);
+      }
+      
+      const el = ok(element).first().elements[0];
+      if (!el) return function() {};
+      
+      const target = reactive(source);
+      const keys = splitPath(path);
+      const kind = controlKind(el);
+      const read = () => untracked(() => getPath(target, keys));
+      
+      function cast(value) {
+        if (typeof value !== 'string') return value;
+        if (options.trim) value = value.trim();
+        if (options.number) {
+          const number = parseFloat(value);
+          return isNaN(number) ? value : number;
+        }
+        return value;
+      }
+      
+      // Element -> model
+      function onInput() {
+        if (composing) return;
+        
+        const model = read();
+        if (kind === 'checkbox') {
+          const value = cast(el.value);
+          if (Array.isArray(model)) {
+            const index = model.findIndex(item => looseEqual(item, value));
+            if (el.checked && index === -1) model.push(value);
+            if (!el.checked && index !== -1) model.splice(index, 1);
+          } else {
+            setPath(target, keys, el.checked);
+          }
+        } else if (kind === 'radio') {
+          if (el.checked) setPath(target, keys, cast(el.value));
+        } else if (kind === 'select-multiple') {
+          setPath(target, keys, Array.from(el.options).filter(o => o.selected).map(o => cast(o.value)));
+        } else if (kind === 'editable') {
+          setPath(target, keys, cast(el.textContent));
+        } else {
+          setPath(target, keys, cast(el.value));
+        }
+      }
+      
+      // Model -> element
+      function render(model) {
+        if (kind === 'checkbox') {
+          el.checked = Array.isArray(model) ? model.some(item => looseEqual(item, cast(el.value))) : !!model;
+        } else if (kind === 'radio') {
+          el.checked = looseEqual(model, cast(el.value));
+        } else if (kind === 'select-multiple') {
+          const values = Array.isArray(model) ? model : [];
+          Array.from(el.options).forEach(o => {
+            o.selected = values.some(item => looseEqual(item, cast(o.value)));
+          });
+        } else if (kind === 'editable') {
+          const text = model === null || model === undefined ? '' : String(model);
+          if (el.textContent !== text) el.textContent = text;
+        } else {
+          const text = model === null || model === undefined ? '' : String(model);
+          // Leave the field alone while it already represents the model (e.g. "1." for 1)
+          if (el.value !== text && !looseEqual(cast(el.value), model)) el.value = text;
+        }
+      }
+      
+      let composing = false;
+      const onCompositionStart = () => { composing = true; };
+      const onCompositionEnd = () => {
+        composing = false;
+        onInput();
+      };
+      
+      const event = kind === 'text' || kind === 'editable'
+        ? (options.lazy ? (kind === 'editable' ? 'blur' : 'change') : 'input')
+        : 'change';
+      
+      el.addEventListener(event, onInput);
+      el.addEventListener('compositionstart', onCompositionStart);
+      el.addEventListener('compositionend', onCompositionEnd);
+      
+      // Re-render on every change under the path, even if the value ends up where it
+      // started: the element may have changed in between, and render compares with it
+      const renderJob = () => render(read());
+      render(read());
+      const unwatch = addListener(toRaw(target), changed => {
+        if (relate(changed, keys)) queueJob(renderJob);
+      });
+      
+      return function() {
+        el.removeEventListener(event, onInput);
+        el.removeEventListener('compositionstart', onCompositionStart);
+        el.removeEventListener('compositionend', onCompositionEnd);
+        unwatch();
+      };
+    }
+    
+    function controlKind(el) {
+      const tag = el.tagName;
+      if (tag === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio')) return el.type;
+      if (tag === 'SELECT') return el.multiple ? 'select-multiple' : 'select';
+      if (tag === 'INPUT' || tag === 'TEXTAREA') return 'text';
+      if (el.isContentEditable || (el.hasAttribute('contenteditable') && el.getAttribute('contenteditable') !== 'false')) return 'editable';
+      return 'text';
+    }
+    
+    function looseEqual(a, b) {
+      return a === b || String(a) === String(b);
+    }
+    
+    function setPath(obj, keys, value) {
+      const parent = getPath(obj, keys.slice(0, -1));
+      if (parent === null || typeof parent !== 'object') {
+        console.warn(`Cannot bind to "${keys.join('.')}": parent is not an object`);
+        return;
+      }
+      parent[keys[keys.length - 1]] = value;
+    }
+    
+    // Legacy form: bind(element, 'key', attribute) keeps the value in a private store
+    function bindKey(element, stateKey, attribute = 'value') {
+      const el = ok(element).first().elements[0];
+      if (!el) return;
+      
+      if (state[stateKey] !== undefined) {
+        el[attribute] = state[stateKey];
+      }
+      
+      el.addEventListener('input', function() {
+        state[stateKey] = el[attribute];
+      });
+      
+      return watch(stateKey, function(newValue) {
+        el[attribute] = newValue;
+      });
+    }
+    
+    // Deep copy of the raw data under a reactive value, for history patches
+    function snapshot(value) {
+      value = toRaw(value);
+      if (!isObservable(value)) return value;
+      if (Array.isArray(value)) return value.map(snapshot);
+      const copy = {};
+      Object.keys(value).forEach(k => { copy[k] = snapshot(value[k]); });
+      return copy;
+    }
+    
+    // Write a snapshot back at keys. An empty path replaces the contents of obj in place.
+    function writePath(obj, keys, value, remove) {
+      if (!keys.length) {
+        if (Array.isArray(obj)) {
+          obj.splice(0, obj.length, ...snapshot(value));
+        } else {
+          Object.keys(obj).forEach(k => { if (!(k in value)) delete obj[k]; });
+          Object.keys(value).forEach(k => { obj[k] = snapshot(value[k]); });
+        }
+        return;
+      }
+      
+      const parent = getPath(obj, keys.slice(0, -1));
+      if (parent === null || typeof parent !== 'object') return;
+      const key = keys[keys.length - 1];
+      if (remove) {
+        if (Array.isArray(parent)) {
+          parent.splice(Number(key), 1);
+        } else {
+          delete parent[key];
+        }
+      } else if (Array.isArray(parent[key]) && Array.isArray(value)) {
+        // Arrays are spliced in place like the root, so references to them stay live
+        writePath(parent[key], [], value);
+      } else {
+        parent[key] = snapshot(value);
+      }
+    }
+    
+    // Undo/redo for a reactive object. Every change is recorded as a patch
+    // { path, type, value, oldValue }; one undo step reverts one entry of patches.
+    // Options: maxDepth (entries kept, default 100), keys (element to bind
+    // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z / Ctrl+Y to, or true for document).
+    function history(source, options = {}) {
+      const target = reactive(source);
+      const maxDepth = options.maxDepth || 100;
+      const stacks = reactive({ undo: [], redo: [] });
+      let shadow = snapshot(target);
+      let group = null;
+      let depth = 0;
+      let paused = 0;
+      
+      function record(entry) {
+        stacks.undo.push(entry);
+        if (stacks.undo.length > maxDepth) stacks.undo.shift();
+        stacks.redo.splice(0, stacks.redo.length);
+      }
+      
+      const removeListener = addListener(toRaw(target), (keys, change) => {
+        const existed = keys.length === 0 || ok.utils.hasOwn(getPath(shadow, keys.slice(0, -1)) || {}, keys[keys.length - 1]);
+        const patch = {
+          path: keys.join('.'),
+          type: change.type,
+          value: change.type === 'delete' ? undefined : snapshot(getPath(target, keys)),
+          oldValue: snapshot(getPath(shadow, keys)),
+          existed
+        };
+        
+        if (keys.length) {
+          writePath(shadow, keys, patch.value, change.type === 'delete');
+        } else {
+          shadow = snapshot(target);
+        }
+        if (paused) return;
+        
+        if (group) {
+          group.push(patch);
+        } else {
+          record([patch]);
+        }
+      });
+      
+      // Apply an entry's patches without recording them
+      function apply(entry, reverse) {
+        paused++;
+        try {
+          batch(() => {
+            const patches = reverse ? entry.slice().reverse() : entry;
+            patches.forEach(patch => {
+              const keys = splitPath(patch.path);
+              if (reverse) {
+                writePath(target, keys, patch.oldValue, !patch.existed);
+              } else {
+                writePath(target, keys, patch.value, patch.type === 'delete');
+              }
+            });
+          });
+        } finally {
+          paused--;
+        }
+      }
+      
+      function undo() {
+        const entry = stacks.undo.pop();
+        if (!entry) return false;
+        apply(toRaw(entry), true);
+        stacks.redo.push(entry);
+        return true;
+      }
+      
+      function redo() {
+        const entry = stacks.redo.pop();
+        if (!entry) return false;
+        apply(toRaw(entry), false);
+        stacks.undo.push(entry);
+        return true;
+      }
+      
+      // Group every change made inside fn into one undo step. Nested transactions
+      // join the outer one; an async fn keeps the group open until it settles.
+      function transaction(fn) {
+        if (depth++ === 0) group = [];
+        const end = () => {
+          if (--depth > 0) return;
+          const entry = group;
+          group = null;
+          if (entry.length) record(entry);
+        };
+        
+        let result;
+        try {
+          result = fn();
+        } catch (error) {
+          end();
+          throw error;
+        }
+        if (result && typeof result.then === 'function') {
+          return result.then(value => { end(); return value; }, error => { end(); throw error; });
+        }
+        end();
+        return result;
+      }
+      
+      // Run fn without recording its changes (e.g. syncing from a server)
+      function ignore(fn) {
+        paused++;
+        try {
+          return fn();
+        } finally {
+          paused--;
+        }
+      }
+      
+      function onKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        const handled = key === 'z' ? (e.shiftKey ? redo() : undo()) : key === 'y' ? redo() : null;
+        if (handled !== null) e.preventDefault();
+      }
+      
+      const unbinders = [];
+      function bindKeys(element = document) {
+        const el = typeof element === 'string' ? ok(element).first().elements[0] : element;
+        if (!el) return function() {};
+        el.addEventListener('keydown', onKeydown);
+        const unbind = () => el.removeEventListener('keydown', onKeydown);
+        unbinders.push(unbind);
+        return unbind;
+      }
+      
+      if (options.keys) {
+        bindKeys(options.keys === true ? document : options.keys);
+      }
+      
+      return {
+        undo,
+        redo,
+        transaction,
+        ignore,
+        bindKeys,
+        get canUndo() { return stacks.undo.length > 0; },
+        get canRedo() { return stacks.redo.length > 0; },
+        get undoStack() { return snapshot(stacks.undo); },
+        get redoStack() { return snapshot(stacks.redo); },
+        clear() {
+          stacks.undo.splice(0, stacks.undo.length);
+          stacks.redo.splice(0, stacks.redo.length);
+        },
+        stop() {
+          removeListener();
+          unbinders.forEach(unbind => unbind());
+        }
+      };
+    }
+    
+    ok.reactive = { reactive, watch, computed, effect, stop, untracked, bind, batch, nextTick, queueJob, isReactive, toRaw, history };
+  });
+
+  // Expression Module - a small, eval-free evaluator for template and directive expressions
+  ok.module('expression', function() {
+    const cache = new Map();
+    const THIS = Symbol('ok.this');
+    const SHORT = Symbol('ok.short');
+    const blockedKeys = ['constructor', '__proto__', 'prototype', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'];
+    // No reflection (Object.getPrototypeOf, getOwnPropertyDescriptor, ...): with it an
+    // expression could reach Function through a prototype and run arbitrary code
+    const globals = {
+      Math, Date, JSON, Number, String, Boolean, Array, console,
+      Object: Object.freeze({ keys: Object.keys, values: Object.values, entries: Object.entries }),
+      parseInt, parseFloat, isNaN, isFinite, encodeURIComponent, decodeURIComponent,
+      Infinity, NaN, undefined
+    };
+    const literals = { true: true, false: false, null: null, undefined: undefined };
+    const binaryPrecedence = {
+      '??': 1, '||': 2, '&&': 3,
+      '==': 4, '!=': 4, '===': 4, '!==': 4,
+      '<': 5, '>': 5, '<=': 5, '>=': 5, 'in': 5, 'instanceof': 5,
+      '+': 6, '-': 6,
+      '*': 7, '/': 7, '%': 7
+    };
+    const assignOperators = ['=', '+=', '-=', '*=', '/=', '%=', '??=', '||=', '&&='];
+    const punctuators = [
+      '===', '!==', '??=', '||=', '&&=', '...',
+      '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '=>',
+      '(', ')', '[', ']', '{', '}', ',', '.', '?', ':', ';', '+', '-', '*', '/', '%', '!', '<', '>', '=', '|'
+    ];
+    
+    // Filters are applied with a pipe: {{ price | currency('€') | uppercase }}
+    const filters = {
+      currency: (value, currency, decimals) => ok.utils.formatCurrency(value, currency, decimals),
+      number: (value, decimals) => ok.utils.formatNumber(value, decimals),
+      date: (value, format) => ok.utils.formatDate(value, format),
+      truncate: (value, length, ending) => ok.utils.truncate(String(value), length, ending),
+      capitalize: value => ok.utils.capitalize(String(value)),
+      uppercase: value => String(value).toUpperCase(),
+      lowercase: value => String(value).toLowerCase(),
+      json: (value, indent = 2) => JSON.stringify(value, null, indent)
+    };
+    
+    function unescape(ch) {
+      return { n: '\n', t: '\t', r: '\r' }[ch] || ch;
+    }
+    
+    // A quoted string starting at start; end is the index after the closing quote
+    function readString(source, start) {
+      const quote = source[start];
+      let value = '';
+      let i = start + 1;
+      while (i < source.length && source[i] !== quote) {
+        if (source[i] === '\\') {
+          value += unescape(source[i + 1]);
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) {
+        throw new SyntaxError(`Unterminated string in expression "${source}"`);
+      }
+      return { value, end: i + 1 };
+    }
+    
+    // `Hi ${name}!` is split into its text parts and the source of each ${} expression
+    function readTemplate(source, start) {
+      const quasis = [];
+      const expressions = [];
+      let text = '';
+      let i = start + 1;
+      while (i < source.length && source[i] !== '`') {
+        if (source[i] === '\\') {
+          text += unescape(source[i + 1]);
+          i += 2;
+        } else if (source.startsWith('${', i)) {
+          const close = closingBrace(source, i + 2);
+          quasis.push(text);
+          expressions.push(source.slice(i + 2, close));
+          text = '';
+          i = close + 1;
+        } else {
+          text += source[i++];
+        }
+      }
+      if (i >= source.length) {
+        throw new SyntaxError(`Unterminated template in expression "${source}"`);
+      }
+      quasis.push(text);
+      return { quasis, expressions, end: i + 1 };
+    }
+    
+    // The index of the } that closes a ${, skipping nested braces and strings
+    function closingBrace(source, start) {
+      let depth = 0;
+      for (let i = start; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '"' || ch === "'") {
+          i = readString(source, i).end - 1;
+        } else if (ch === '`') {
+          i = readTemplate(source, i).end - 1;
+        } else if (ch === '{') {
+          depth++;
+        } else if (ch === '}') {
+          if (depth === 0) return i;
+          depth--;
+        }
+      }
+      throw new SyntaxError(`Unterminated template in expression "${source}"`);
+    }
+    
+    function tokenize(source) {
+      const tokens = [];
+      let i = 0;
+      
+      while (i < source.length) {
+        const ch = source[i];
+        
+        if (/\s/.test(ch)) {
+          i++;
+          continue;
+        }
+        
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+          const match = /^(?:0[xX][0-9a-fA-F]+|\d*\.?\d+(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+          tokens.push({ type: 'num', value: Number(match[0]) });
+          i += match[0].length;
+          continue;
+        }
+        
+        if (ch === '"' || ch === "'") {
+          const { value, end } = readString(source, i);
+          tokens.push({ type: 'str', value });
+          i = end;
+          continue;
+        }
+        
+        if (ch === '`') {
+          const { quasis, expressions, end } = readTemplate(source, i);
+          tokens.push({ type: 'template', quasis, expressions });
+          i = end;
+          continue;
+        }
+        
+        if (/[A-Za-z_$]/.test(ch)) {
+          const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+          tokens.push({ type: 'ident', value: match[0] });
+          i += match[0].length;
+          continue;
+        }
+        
+        const punctuator = punctuators.find(p => source.startsWith(p, i));
+        if (!punctuator) {
+          throw new SyntaxError(`Unexpected character "${ch}" in expression "${source}"`);
+        }
+        tokens.push({ type: 'punc', value: punctuator });
+        i += punctuator.length;
+      }
+      
+      tokens.push({ type: 'eof', value: '' });
+      return tokens;
+    }
+    
+    // Recursive descent parser producing a small AST
+    function parse(source) {
+      const tokens = tokenize(source);
+      let pos = 0;
+      
+      const peek = (offset = 0) => tokens[pos + offset];
+      const next = () => tokens[pos++];
+      const is = (value, offset = 0) => {
+        const token = peek(offset);
+        return (token.type === 'punc' || token.type === 'ident') && token.value === value;
+      };
+      const fail = token => {
+        throw new SyntaxError(`Unexpected ${token.type === 'eof' ? 'end' : `token "${token.value}"`} in expression "${source}"`);
+      };
+      const expect = value => {
+        if (!is(value)) fail(peek());
+        return next();
+      };
+      
+      function parseProgram() {
+        const body = [];
+        while (peek().type !== 'eof') {
+          if (is(';')) {
+            next();
+            continue;
+          }
+          body.push(parseFiltered());
+          if (!is(';') && peek().type !== 'eof') fail(peek());
+        }
+        return body.length === 1 ? body[0] : { type: 'Sequence', body };
+      }
+      
+      function parseExpression() {
+        return parseAssignment();
+      }
+      
+      // Pipes bind loosest and are only allowed at the top level of a statement
+      function parseFiltered() {
+        let node = parseExpression();
+        while (is('|')) {
+          next();
+          const name = next();
+          if (name.type !== 'ident') fail(name);
+          let args = [];
+          if (is('(')) {
+            next();
+            args = parseList(')');
+          }
+          node = { type: 'Filter', name: name.value, input: node, args };
+        }
+        return node;
+      }
+      
+      function parseAssignment() {
+        const left = parseConditional();
+        const token = peek();
+        
+        if (token.type === 'punc' && assignOperators.includes(token.value)) {
+          if (left.type !== 'Identifier' && left.type !== 'Member') {
+            throw new SyntaxError(`Invalid assignment target in expression "${source}"`);
+          }
+          next();
+          return { type: 'Assign', operator: token.value, target: left, value: parseAssignment() };
+        }
+        return left;
+      }
+      
+      function parseConditional() {
+        const test = parseBinary(0);
+        if (!is('?')) return test;
+        
+        next();
+        const consequent = parseAssignment();
+        expect(':');
+        return { type: 'Conditional', test, consequent, alternate: parseAssignment() };
+      }
+      
+      function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        
+        for (;;) {
+          const token = peek();
+          const precedence = (token.type === 'punc' || token.type === 'ident') && ok.utils.hasOwn(binaryPrecedence, token.value)
+            ? binaryPrecedence[token.value]
+            : undefined;
+          if (precedence === undefined || precedence <= minPrecedence) return left;
+          
+          next();
+          left = { type: 'Binary', operator: token.value, left, right: parseBinary(precedence) };
+        }
+      }
+      
+      function parseUnary() {
+        if (is('!') || is('-') || is('+') || is('typeof')) {
+          const operator = next().value;
+          return { type: 'Unary', operator, argument: parseUnary() };
+        }
+        if (is('++') || is('--')) {
+          const operator = next().value;
+          return { type: 'Update', operator, prefix: true, argument: parseUnary() };
+        }
+        return parsePostfix();
+      }
+      
+      function parsePostfix() {
+        const argument = parseCallMember();
+        if (is('++') || is('--')) {
+          return { type: 'Update', operator: next().value, prefix: false, argument };
+        }
+        return argument;
+      }
+      
+      // A chain with ?. in it is wrapped in a Chain node, where a short-circuit ends
+      function parseCallMember() {
+        let node = parsePrimary();
+        let chained = false;
+        
+        for (;;) {
+          if (is('.') || is('?.')) {
+            const optional = next().value === '?.';
+            if (optional) chained = true;
+            if (optional && is('(')) {
+              next();
+              node = { type: 'Call', callee: node, args: parseList(')'), optional };
+            } else if (optional && is('[')) {
+              next();
+              node = { type: 'Member', object: node, property: parseExpression(), computed: true, optional };
+              expect(']');
+            } else {
+              const token = next();
+              if (token.type !== 'ident') fail(token);
+              node = { type: 'Member', object: node, property: token.value, computed: false, optional };
+            }
+          } else if (is('[')) {
+            next();
+            node = { type: 'Member', object: node, property: parseExpression(), computed: true };
+            expect(']');
+          } else if (is('(')) {
+            next();
+            node = { type: 'Call', callee: node, args: parseList(')') };
+          } else {
+            return chained ? { type: 'Chain', expression: node } : node;
+          }
+        }
+      }
+      
+      function parseList(close) {
+        const items = [];
+        while (!is(close)) {
+          if (is('...')) {
+            next();
+            items.push({ type: 'Spread', argument: parseAssignment() });
+          } else {
+            items.push(parseAssignment());
+          }
+          if (!is(close)) expect(',');
+        }
+        next();
+        return items;
+      }
+      
+      // A function body: expression statements separated by ';', with optional return
+      function parseBlock() {
+        expect('{');
+        const statements = [];
+        while (!is('}')) {
+          if (is(';')) {
+            next();
+          } else if (is('return')) {
+            next();
+            statements.push({ type: 'Return', argument: is(';') || is('}') ? null : parseExpression() });
+          } else {
+            statements.push(parseExpression());
+          }
+        }
+        next();
+        return { type: 'Block', statements };
+      }
+      
+      function parseArrowBody() {
+        return is('{') ? parseBlock() : parseAssignment();
+      }
+      
+      // (a, b) => ... ; returns null when the parenthesis is not an arrow parameter
+      // list. Method shorthand passes method = true, as no '=>' follows.
+      function tryArrowParams(method = false) {
+        const start = pos;
+        const params = [];
+        next();
+        while (!is(')')) {
+          const token = next();
+          if (token.type !== 'ident') {
+            pos = start;
+            return null;
+          }
+          params.push(token.value);
+          if (is(',')) next();
+          else if (!is(')')) {
+            pos = start;
+            return null;
+          }
+        }
+        next();
+        if (method) return params;
+        if (!is('=>')) {
+          pos = start;
+          return null;
+        }
+        next();
+        return params;
+      }
+      
+      function parsePrimary() {
+        const token = peek();
+        
+        if (token.type === 'num' || token.type === 'str') {
+          next();
+          return { type: 'Literal', value: token.value };
+        }
+        
+        if (token.type === 'template') {
+          next();
+          return { type: 'Template', quasis: token.quasis, expressions: token.expressions.map(parse) };
+        }
+        
+        if (token.type === 'ident') {
+          next();
+          if (is('=>')) {
+            next();
+            return { type: 'Arrow', params: [token.value], body: parseArrowBody() };
+          }
+          if (ok.utils.hasOwn(literals, token.value)) return { type: 'Literal', value: literals[token.value] };
+          if (token.value === 'this') return { type: 'This' };
+          return { type: 'Identifier', name: token.value };
+        }
+        
+        if (is('(')) {
+          const params = tryArrowParams();
+          if (params) return { type: 'Arrow', params, body: parseArrowBody() };
+          next();
+          const expression = parseExpression();
+          expect(')');
+          return expression;
+        }
+        
+        if (is('[')) {
+          next();
+          return { type: 'Array', items: parseList(']') };
+        }
+        
+        if (is('{')) {
+          next();
+          const properties = [];
+          while (!is('}')) {
+            if (is('...')) {
+              next();
+              properties.push({ spread: true, value: parseAssignment() });
+            } else {
+              const keyToken = next();
+              if (keyToken.type !== 'ident' && keyToken.type !== 'str' && keyToken.type !== 'num') fail(keyToken);
+              const key = String(keyToken.value);
+              if (is('(') && keyToken.type === 'ident') {
+                // Method shorthand: inc() { this.count++ }
+                const params = tryArrowParams(true);
+                if (!params) fail(peek());
+                properties.push({ key, value: { type: 'Function', params, body: parseBlock() } });
+              } else if (is(':')) {
+                next();
+                properties.push({ key, value: parseAssignment() });
+              } else if (keyToken.type === 'ident') {
+                properties.push({ key, value: { type: 'Identifier', name: key } });
+              } else {
+                fail(peek());
+              }
+            }
+            if (!is('}')) expect(',');
+          }
+          next();
+          return { type: 'Object', properties };
+        }
+        
+        fail(token);
+      }
+      
+      return parseProgram();
+    }
+    
+    function checkKey(key) {
+      if (blockedKeys.includes(key)) {
+        throw new Error(`Access to "${key}" is not allowed in expressions`);
+      }
+      return key;
+    }
+    
+    // Computed keys are checked as the property key they become ([['constructor']] is 'constructor')
+    function memberKey(node, scopes) {
+      if (!node.computed) return checkKey(node.property);
+      const key = run(node.property, scopes);
+      return checkKey(typeof key === 'symbol' ? key : String(key));
+    }
+    
+    // $el and component elements lead to the DOM; its window and Function constructors
+    // would run arbitrary code, so expressions can't hold them
+    function checkValue(value) {
+      if (value !== null && (typeof value === 'object' || typeof value === 'function') &&
+          (value.window === value || (typeof value === 'function' && value.constructor === value))) {
+        throw new Error('Access to the window or Function is not allowed in expressions');
+      }
+      return value;
+    }
+    
+    // Scopes are searched innermost first; the last one receives new assignments.
+    // Names a scope only inherits from Object.prototype (constructor, __proto__,
+    // valueOf, ...) are not variables.
+    function findOwner(scopes, name) {
+      for (let i = 0; i < scopes.length; i++) {
+        const scope = scopes[i];
+        if (scope !== null && typeof scope === 'object' && name in scope &&
+            (!(name in Object.prototype) || ok.utils.hasOwn(scope, name))) return scope;
+      }
+      return null;
+    }
+    
+    function lookup(scopes, name) {
+      checkKey(name);
+      const owner = findOwner(scopes, name);
+      if (owner) return checkValue(owner[name]);
+      return ok.utils.hasOwn(globals, name) ? globals[name] : undefined;
+    }
+    
+    // Resolve an assignable node to the object and key it refers to
+    function reference(node, scopes) {
+      if (node.type === 'Identifier') {
+        return { object: findOwner(scopes, node.name) || scopes[scopes.length - 1], key: checkKey(node.name) };
+      }
+      if (node.type === 'Member') {
+        const object = run(node.object, scopes);
+        const key = memberKey(node, scopes);
+        if (object === null || object === undefined) {
+          throw new TypeError(`Cannot set "${key}" of ${object}`);
+        }
+        return { object, key };
+      }
+      throw new SyntaxError('Invalid assignment target');
+    }
+    
+    function runList(items, scopes) {
+      const values = [];
+      items.forEach(item => {
+        if (item.type === 'Spread') {
+          values.push(...run(item.argument, scopes));
+        } else {
+          values.push(run(item, scopes));
+        }
+      });
+      return values;
+    }
+    
+    function binary(operator, left, right) {
+      switch (operator) {
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        case '>=': return left >= right;
+        case 'in': return left in right;
+        case 'instanceof': return left instanceof right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+    }
+    
+    function run(node, scopes) {
+      switch (node.type) {
+        case 'Literal':
+          return node.value;
+          
+        case 'This': {
+          const bound = scopes.find(scope => scope && ok.utils.hasOwn(scope, THIS));
+          return bound ? bound[THIS] : scopes[scopes.length - 1];
+        }
+        
+        case 'Block': {
+          for (const statement of node.statements) {
+            if (statement.type === 'Return') {
+              return { value: statement.argument ? run(statement.argument, scopes) : undefined };
+            }
+            run(statement, scopes);
+          }
+          return { value: undefined };
+        }
+          
+        case 'Identifier':
+          return lookup(scopes, node.name);
+          
+        case 'Sequence': {
+          let result;
+          node.body.forEach(statement => { result = run(statement, scopes); });
+          return result;
+        }
+        
+        // An optional link on null or undefined skips the rest of its chain
+        case 'Chain': {
+          const value = run(node.expression, scopes);
+          return value === SHORT ? undefined : value;
+        }
+        
+        case 'Member': {
+          const object = run(node.object, scopes);
+          if (object === SHORT || ((object === null || object === undefined) && node.optional)) return SHORT;
+          const key = memberKey(node, scopes);
+          if (object === null || object === undefined) {
+            throw new TypeError(`Cannot read "${key}" of ${object}`);
+          }
+          return checkValue(object[key]);
+        }
+        
+        case 'Call': {
+          let fn, context;
+          if (node.callee.type === 'Member') {
+            context = run(node.callee.object, scopes);
+            if (context === SHORT || ((context === null || context === undefined) && node.callee.optional)) return SHORT;
+            const key = memberKey(node.callee, scopes);
+            fn = context === null || context === undefined ? undefined : checkValue(context[key]);
+          } else if (node.callee.type === 'Identifier') {
+            context = findOwner(scopes, node.callee.name);
+            fn = lookup(scopes, node.callee.name);
+          } else {
+            fn = run(node.callee, scopes);
+          }
+          if (fn === SHORT || ((fn === null || fn === undefined) && node.optional)) return SHORT;
+          if (typeof fn !== 'function') {
+            throw new TypeError(`${node.callee.name || node.callee.property || 'Expression'} is not a function`);
+          }
+          return checkValue(fn.apply(context, runList(node.args, scopes)));
+        }
+        
+        case 'Unary': {
+          const value = run(node.argument, scopes);
+          if (node.operator === '!') return !value;
+          if (node.operator === '-') return -value;
+          if (node.operator === '+') return +value;
+          return typeof value;
+        }
+        
+        case 'Binary': {
+          const left = run(node.left, scopes);
+          if (node.operator === '&&') return left && run(node.right, scopes);
+          if (node.operator === '||') return left || run(node.right, scopes);
+          if (node.operator === '??') return left !== null && left !== undefined ? left : run(node.right, scopes);
+          return binary(node.operator, left, run(node.right, scopes));
+        }
+        
+        case 'Conditional':
+          return run(node.test, scopes) ? run(node.consequent, scopes) : run(node.alternate, scopes);
+          
+        case 'Template':
+          return node.quasis.reduce((result, text, i) => {
+            return result + text + (i < node.expressions.length ? String(run(node.expressions[i], scopes)) : '');
+          }, '');
+          
+        case 'Assign': {
+          const { object, key } = reference(node.target, scopes);
+          const current = object[key];
+          let value;
+          if (node.operator === '=') value = run(node.value, scopes);
+          else if (node.operator === '&&=') value = current && run(node.value, scopes);
+          else if (node.operator === '||=') value = current || run(node.value, scopes);
+          else if (node.operator === '??=') value = current !== null && current !== undefined ? current : run(node.value, scopes);
+          else value = binary(node.operator.slice(0, -1), current, run(node.value, scopes));
+          object[key] = value;
+          return value;
+        }
+        
+        case 'Update': {
+          const { object, key } = reference(node.argument, scopes);
+          const current = Number(object[key]);
+          const value = node.operator === '++' ? current + 1 : current - 1;
+          object[key] = value;
+          return node.prefix ? value : current;
+        }
+        
+        case 'Array':
+          return runList(node.items, scopes);
+          
+        case 'Object': {
+          const result = {};
+          node.properties.forEach(property => {
+            if (property.spread) {
+              Object.assign(result, run(property.value, scopes));
+            } else {
+              result[checkKey(property.key)] = run(property.value, scopes);
+            }
+          });
+          return result;
+        }
+        
+        case 'Arrow':
+          return function(...args) {
+            const local = {};
+            node.params.forEach((param, i) => { local[param] = args[i]; });
+            const result = run(node.body, [local].concat(scopes));
+            return node.body.type === 'Block' ? result.value : result;
+          };
+          
+        case 'Function':
+          return function(...args) {
+            const local = { [THIS]: this };
+            node.params.forEach((param, i) => { local[param] = args[i]; });
+            return run(node.body, [local].concat(scopes)).value;
+          };
+          
+        case 'Filter': {
+          if (!ok.utils.hasOwn(filters, node.name)) {
+            throw new Error(`Unknown filter "${node.name}"`);
+          }
+          return filters[node.name](run(node.input, scopes), ...runList(node.args, scopes));
+        }
+      }
+      
+      throw new Error(`Unsupported expression node "${node.type}"`);
+    }
+    
+    // Compile an expression once; the result evaluates it against a scope object
+    // or an array of scopes (innermost first)
+    function compile(source) {
+      if (!cache.has(source)) {
+        cache.set(source, parse(source));
+      }
+      const ast = cache.get(source);
+      
+      return function(scope) {
+        return run(ast, Array.isArray(scope) ? scope : [scope]);
+      };
+    }
+    
+    function evaluate(source, scope) {
+      return compile(source)(scope);
+    }
+    
+    // Register a filter: ok.expression.filter('reverse', value => [...value].reverse())
+    function filter(name, fn) {
+      if (typeof fn !== 'function') {
+        console.error(`Filter "${name}" must be a function`);
+        return;
+      }
+      filters[name] = fn;
+    }
+    
+    ok.expression = { compile, evaluate, filter };
+  });
+
+  // Directive Module - declarative ok-* attributes wired to ok.reactive
+  ok.module('directive', function() {
+    const directivePattern = /^ok-([a-z][\w-]*)(?::([^.]+))?((?:\.[\w-]+)*)$/i;
+    const reserved = ['data', 'key', 'cloak', 'ignore', 'for', 'if'];
+    const keyModifiers = {
+      enter: ['Enter'], esc: ['Escape'], escape: ['Escape'], space: [' ', 'Spacebar'], tab: ['Tab'],
+      up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'], delete: ['Delete', 'Backspace']
+    };
+    
+    // Evaluate an expression, reporting errors instead of throwing
+    function evaluate(expression, scopes) {
+      try {
+        return ok.expression.evaluate(expression, scopes);
+      } catch (error) {
+        errorHandler(error, `Directive "${expression}"`);
+        return undefined;
+      }
+    }
+    
+    function toDisplay(value) {
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    
+    function parseAttribute(attr) {
+      const match = directivePattern.exec(attr.name);
+      if (!match || reserved.includes(match[1])) return null;
+      
+      const modifiers = {};
+      match[3].split('.').filter(Boolean).forEach(m => { modifiers[m] = true; });
+      return { name: match[1], arg: match[2] || null, modifiers, expression: attr.value };
+    }
+    
+    // <template ok-for> and <template ok-if> render their content, other elements render themselves
+    function blockTemplate(el) {
+      return el.tagName === 'TEMPLATE' ? el.content.firstElementChild : el;
+    }
+    
+    function destroyBlock(block) {
+      block.cleanups.forEach(cleanup => cleanup());
+      if (block.node.parentNode) {
+        block.node.parentNode.removeChild(block.node);
+      }
+    }
+    
+    function setAttribute(el, name, value, initial) {
+      if (name === 'class') {
+        el.className = [initial.className, ok.utils.normalizeClass(value)].filter(Boolean).join(' ');
+      } else if (name === 'style') {
+        el.style.cssText = initial.style;
+        if (value && typeof value === 'object') {
+          Object.keys(value).forEach(prop => {
+            if (prop.startsWith('--')) el.style.setProperty(prop, value[prop]);
+            else el.style[prop] = value[prop];
+          });
+        } else if (value) {
+          el.style.cssText += ';' + value;
+        }
+      } else if (name === 'value') {
+        el.value = value === null || value === undefined ? '' : value;
+      } else if (typeof el[name] === 'boolean') {
+        el[name] = !!value;
+        if (value) el.setAttribute(name, '');
+        else el.removeAttribute(name);
+      } else if (value === null || value === undefined || value === false) {
+        el.removeAttribute(name);
+      } else {
+        el.setAttribute(name, value === true ? '' : value);
+      }
+    }
+    
+    // Whether an event passes the .self, .outside and key modifiers; .prevent and .stop
+    // then apply to the ones that do. Component templates use it for @event too.
+    function filterEvent(event, el, modifiers) {
+      const keys = Object.keys(modifiers).filter(m => keyModifiers[m]);
+      if (modifiers.self && event.target !== el) return false;
+      if (modifiers.outside && el.contains(event.target)) return false;
+      if (keys.length && !keys.some(m => keyModifiers[m].includes(event.key))) return false;
+      if (modifiers.prevent) event.preventDefault();
+      if (modifiers.stop) event.stopPropagation();
+      return true;
+    }
+    
+    const builtins = {
+      text(el, dir, scopes, cleanups) {
+        const runner = ok.reactive.effect(() => {
+          el.textContent = toDisplay(evaluate(dir.expression, scopes));
+        });
+        cleanups.push(runner.stop);
+      },
+      
+      html(el, dir, scopes, cleanups) {
+        const runner = ok.reactive.effect(() => {
+          el.innerHTML = toDisplay(evaluate(dir.expression, scopes));
+        });
+        cleanups.push(runner.stop);
+      },
+      
+      show(el, dir, scopes, cleanups) {
+        const display = el.style.display === 'none' ? '' : el.style.display;
+        const runner = ok.reactive.effect(() => {
+          el.style.display = evaluate(dir.expression, scopes) ? display : 'none';
+        });
+        cleanups.push(runner.stop);
+      },
+      
+      bind(el, dir, scopes, cleanups) {
+        const initial = { className: el.getAttribute('class') || '', style: el.style.cssText };
+        const runner = ok.reactive.effect(() => {
+          const value = evaluate(dir.expression, scopes);
+          if (dir.arg) {
+            setAttribute(el, dir.arg, value, initial);
+          } else if (value && typeof value === 'object') {
+            // ok-bind="{ id: userId, title: label }"
+            Object.keys(value).forEach(name => setAttribute(el, name, value[name], initial));
+          }
+        });
+        cleanups.push(runner.stop);
+      },
+      
+      on(el, dir, scopes, cleanups) {
+        const { modifiers } = dir;
+        // .outside has to see clicks anywhere, so it listens on the document
+        const target = modifiers.window ? window : (modifiers.document || modifiers.outside) ? document : el;
+        // ok-on:click="save" calls save($event); anything else is run as a statement
+        const expression = /^[\w$.]+$/.test(dir.expression.trim()) ? `${dir.expression}($event)` : dir.expression;
+        
+        const handler = function(event) {
+          if (!filterEvent(event, el, modifiers)) return;
+          
+          evaluate(expression, [{ $event: event, $el: el }].concat(scopes));
+          
+          if (modifiers.once) remove();
+        };
+        const options = { capture: !!modifiers.capture, passive: !!modifiers.passive };
+        const remove = () => target.removeEventListener(dir.arg, handler, options);
+        
+        target.addEventListener(dir.arg, handler, options);
+        cleanups.push(remove);
+      },
+      
+      model(el, dir, scopes, cleanups) {
+        const path = dir.expression.trim();
+        const root = path.split('.')[0];
+        const owner = scopes.find(scope => scope && typeof scope === 'object' && root in scope) || scopes[scopes.length - 1];
+        cleanups.push(ok.reactive.bind(el, owner, path, {
+          lazy: !!dir.modifiers.lazy,
+          number: !!dir.modifiers.number,
+          trim: !!dir.modifiers.trim
+        }));
+      }
+    };
+    
+    // Directives registered with ok.plugin.directive(name, definition). A definition
+    // is a function called with (el, binding) on mount and on every change, or an
+    // object with mounted/updated/unmounted hooks.
+    function applyCustom(el, dir, scopes, cleanups, definition) {
+      const hooks = typeof definition === 'function' ? { mounted: definition, updated: definition } : definition;
+      const binding = { ...dir, value: undefined, oldValue: undefined, scope: scopes[0] };
+      let mounted = false;
+      
+      const stop = ok.reactive.watch(() => (dir.expression ? evaluate(dir.expression, scopes) : undefined), (value, oldValue) => {
+        binding.value = value;
+        binding.oldValue = oldValue;
+        if (!mounted) {
+          mounted = true;
+          if (hooks.mounted) hooks.mounted(el, binding);
+        } else if (hooks.updated) {
+          hooks.updated(el, binding);
+        }
+      }, { immediate: true });
+      
+      cleanups.push(() => {
+        stop();
+        if (hooks.unmounted) hooks.unmounted(el, binding);
+      });
+    }
+    
+    function compileIf(el, scopes, cleanups) {
+      const expression = el.getAttribute('ok-if');
+      const anchor = document.createComment(' ok-if ');
+      el.parentNode.replaceChild(anchor, el);
+      el.removeAttribute('ok-if');
+      
+      let block = null;
+      const stop = ok.reactive.watch(() => !!evaluate(expression, scopes), show => {
+        if (show && !block) {
+          const node = blockTemplate(el).cloneNode(true);
+          block = { node, cleanups: [] };
+          anchor.parentNode.insertBefore(node, anchor.nextSibling);
+          compile(node, scopes, block.cleanups);
+        } else if (!show && block) {
+          destroyBlock(block);
+          block = null;
+        }
+      }, { immediate: true });
+      
+      cleanups.push(() => {
+        stop();
+        if (block) destroyBlock(block);
+      });
+    }
+    
+    function compileFor(el, scopes, cleanups) {
+      const expression = el.getAttribute('ok-for');
+      const match = /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+))?\s*\)|([\w$]+))\s+(?:in|of)\s+([\s\S]+)$/.exec(expression);
+      if (!match) {
+        errorHandler(new SyntaxError(`Invalid ok-for expression "${expression}"`), 'Directive');
+        return;
+      }
+      
+      const itemName = match[1] || match[3];
+      const indexName = match[2];
+      const listExpression = match[4];
+      const keyExpression = el.getAttribute('ok-key');
+      const anchor = document.createComment(' ok-for ');
+      
+      el.parentNode.replaceChild(anchor, el);
+      el.removeAttribute('ok-for');
+      el.removeAttribute('ok-key');
+      
+      // ok-if on the repeated element filters the items, with the item in scope
+      const template = blockTemplate(el);
+      const condition = template && template.getAttribute('ok-if');
+      if (condition) template.removeAttribute('ok-if');
+      
+      let blocks = new Map();
+      
+      function all() {
+        const list = evaluate(listExpression, scopes);
+        if (typeof list === 'number') {
+          return Array.from({ length: list }, (_, i) => ({ item: i + 1, index: i }));
+        }
+        if (Array.isArray(list)) {
+          return list.map((item, index) => ({ item, index }));
+        }
+        if (list && typeof list === 'object') {
+          return Object.keys(list).map(key => ({ item: list[key], index: key }));
+        }
+        return [];
+      }
+      
+      function entries() {
+        if (!condition) return all();
+        return all().filter(entry => {
+          const locals = { [itemName]: entry.item };
+          if (indexName) locals[indexName] = entry.index;
+          return evaluate(condition, [locals].concat(scopes));
+        });
+      }
+      
+      const stop = ok.reactive.watch(entries, list => {
+        const next = new Map();
+        let previous = anchor;
+        
+        list.forEach((entry, position) => {
+          const locals = { [itemName]: entry.item, $index: position };
+          if (indexName) locals[indexName] = entry.index;
+          
+          let key = keyExpression ? evaluate(keyExpression, [locals].concat(scopes)) : position;
+          let block = next.has(key) ? null : blocks.get(key);
+          
+          if (block) {
+            blocks.delete(key);
+            Object.assign(block.locals, locals);
+          } else {
+            if (next.has(key)) key = Symbol('duplicate key');
+            const node = blockTemplate(el).cloneNode(true);
+            block = { node, locals: ok.reactive.reactive(locals), cleanups: [] };
+            compile(node, [block.locals].concat(scopes), block.cleanups);
+          }
+          
+          next.set(key, block);
+          if (previous.nextSibling !== block.node) {
+            anchor.parentNode.insertBefore(block.node, previous.nextSibling);
+          }
+          previous = block.node;
+        });
+        
+        blocks.forEach(destroyBlock);
+        blocks = next;
+      }, { immediate: true });
+      
+      cleanups.push(() => {
+        stop();
+        blocks.forEach(destroyBlock);
+      });
+    }
+    
+    // Walk an element and its descendants, applying directives with the given scopes
+    // (innermost first). Disposers for everything set up are pushed onto cleanups.
+    function compile(el, scopes, cleanups, isRoot = false) {
+      if (el.nodeType !== 1 || el.hasAttribute('ok-ignore')) return;
+      
+      if (el.hasAttribute('ok-for')) {
+        compileFor(el, scopes, cleanups);
+        return;
+      }
+      if (el.hasAttribute('ok-if')) {
+        compileIf(el, scopes, cleanups);
+        return;
+      }
+      
+      // A nested ok-data starts a child scope that can still read the outer ones
+      if (!isRoot && el.hasAttribute('ok-data')) {
+        scopes = [ok.reactive.reactive(evaluate(el.getAttribute('ok-data') || '{}', scopes) || {})].concat(scopes);
+      }
+      
+      Array.from(el.attributes).forEach(attr => {
+        const dir = parseAttribute(attr);
+        if (!dir) return;
+        
+        if (builtins[dir.name]) {
+          builtins[dir.name](el, dir, scopes, cleanups);
+          return;
+        }
+        
+        const definition = ok.plugin.get(dir.name, 'directive');
+        if (definition) {
+          applyCustom(el, dir, scopes, cleanups, definition);
+        }
+      });
+      
+      if (!el.hasAttribute('ok-text') && !el.hasAttribute('ok-html')) {
+        Array.from(el.children).forEach(child => compile(child, scopes, cleanups));
+      }
+      
+      el.removeAttribute('ok-cloak');
+    }
+    
+    // Compile the directives inside root against data (or root's ok-data attribute).
+    // Returns { scope, unmount } where scope is the reactive data.
+    function mount(root, data) {
+      const el = ok(root).first().elements[0];
+      if (!el) return null;
+      if (el._okDirectives) return el._okDirectives;
+      
+      if (data === undefined && el.hasAttribute('ok-data')) {
+        data = evaluate(el.getAttribute('ok-data') || '{}', [{}]);
+      }
+      
+      const scope = ok.reactive.reactive(data || {});
+      const cleanups = [];
+      compile(el, [scope], cleanups, true);
+      
+      el._okDirectives = {
+        scope,
+        unmount() {
+          cleanups.forEach(cleanup => cleanup());
+          delete el._okDirectives;
+        }
+      };
+      return el._okDirectives;
+    }
+    
+    // Mount every top-level [ok-data] element in the document
+    function start() {
+      document.querySelectorAll('[ok-data]').forEach(el => {
+        if (!el.parentElement || !el.parentElement.closest('[ok-data]')) {
+          mount(el);
+        }
+      });
+    }
+    
+    ok.directive = { mount, start, filterEvent };
+  });
+
+  // Virtual DOM Module
+  ok.module('vdom', function() {
+    const Fragment = '#fragment';
+    const Text = '#text';
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    
+    function text(value) {
+      return { tag: Text, text: String(value), props: {}, children: [], key: null, el: null };
+    }
+    
+    // Flatten nested arrays, drop empty values and turn strings and numbers into text vnodes
+    function normalizeChildren(children) {
+      const result = [];
+      (Array.isArray(children) ? children : [children]).forEach(child => {
+        if (Array.isArray(child)) {
+          result.push(...normalizeChildren(child));
+        } else if (child === null || child === undefined || typeof child === 'boolean') {
+          return;
+        } else if (typeof child === 'object') {
+          result.push(child);
+        } else {
+          result.push(text(child));
+        }
+      });
+      return result;
+    }
+    
+    function h(tag, props = {}, children = []) {
+      props = props || {};
+      return {
+        tag,
+        props,
+        key: props.key !== undefined ? props.key : null,
+        children: normalizeChildren(children),
+        el: null
+      };
+    }
+    
+    function childrenOf(vnode) {
+      if (!vnode.normalized) {
+        vnode.children = normalizeChildren(vnode.children || []);
+        vnode.normalized = true;
+      }
+      return vnode.children;
+    }
+    
+    function sameVnode(a, b) {
+      return a.tag === b.tag && (a.key === undefined ? null : a.key) === (b.key === undefined ? null : b.key);
+    }
+    
+    // Event handlers go through one stable listener per event, so swapping a
+    // handler between renders never stacks listeners
+    function setListener(el, event, handler) {
+      const listeners = el._okListeners || (el._okListeners = {});
+      const invoker = listeners[event];
+      
+      if (handler && invoker) {
+        invoker.handler = handler;
+      } else if (handler) {
+        const listener = function(e) {
+          return listener.handler.call(this, e);
+        };
+        listener.handler = handler;
+        listeners[event] = listener;
+        el.addEventListener(event, listener);
+      } else if (invoker) {
+        el.removeEventListener(event, invoker);
+        delete listeners[event];
+      }
+    }
+    
+    function setStyle(el, value, oldValue) {
+      if (!value || typeof value === 'string') {
+        el.style.cssText = value || '';
+        return;
+      }
+      if (oldValue && typeof oldValue === 'object') {
+        Object.keys(oldValue).forEach(prop => {
+          if (!(prop in value)) setStyleProperty(el, prop, '');
+        });
+      } else {
+        el.style.cssText = '';
+      }
+      Object.keys(value).forEach(prop => setStyleProperty(el, prop, value[prop]));
+    }
+    
+    function setStyleProperty(el, prop, value) {
+      if (prop.startsWith('--') || prop.includes('-')) {
+        el.style.setProperty(prop, value === null || value === undefined ? '' : value);
+      } else {
+        el.style[prop] = value === null || value === undefined ? '' : value;
+      }
+    }
+    
+    function setProp(el, key, value, oldValue, svg) {
+      if (key === 'key') return;
+      
+      // Function values are listeners; strings stay inline handler attributes
+      if (key.startsWith('on') && key.length > 2 && (typeof value === 'function' || typeof oldValue === 'function')) {
+        setListener(el, key.substring(2).toLowerCase(), typeof value === 'function' ? value : null);
+        if (typeof value === 'string') el.setAttribute(key, value);
+      } else if (key === 'className' || key === 'class') {
+        const className = ok.utils.normalizeClass(value);
+        if (svg) el.setAttribute('class', className);
+        else el.className = className;
+      } else if (key === 'style') {
+        setStyle(el, value, oldValue);
+      } else if (key === 'innerHTML' || key === 'textContent') {
+        el[key] = value === null || value === undefined ? '' : value;
+      } else if (key === 'value' || key === 'checked' || key === 'selected') {
+        // Compare against the live property so user input is not overwritten needlessly
+        const next = key === 'value' ? (value === null || value === undefined ? '' : String(value)) : !!value;
+        if (el[key] !== next) el[key] = next;
+      } else if (value === null || value === undefined || value === false) {
+        el.removeAttribute(key);
+      } else {
+        el.setAttribute(key, value === true ? '' : value);
+      }
+    }
+    
+    function patchProps(el, oldProps, newProps, svg) {
+      Object.keys(oldProps).forEach(key => {
+        if (!(key in newProps)) setProp(el, key, null, oldProps[key], svg);
+      });
+      Object.keys(newProps).forEach(key => {
+        const value = newProps[key];
+        if (value !== oldProps[key] || key === 'value' || key === 'checked') {
+          setProp(el, key, value, oldProps[key], svg);
+        }
+      });
+    }
+    
+    function firstNode(vnode) {
+      return vnode.el;
+    }
+    
+    function lastNode(vnode) {
+      return vnode.tag === Fragment ? vnode.anchor : vnode.el;
+    }
+    
+    // Insert a vnode's DOM (a whole range for fragments) before ref
+    function move(vnode, parent, ref) {
+      if (vnode.tag === Fragment) {
+        let node = vnode.el;
+        const end = vnode.anchor;
+        for (;;) {
+          const nextNode = node.nextSibling;
+          parent.insertBefore(node, ref);
+          if (node === end) break;
+          node = nextNode;
+        }
+      } else {
+        parent.insertBefore(vnode.el, ref);
+      }
+    }
+    
+    // A vnode whose tag is an object of { mount, update, unmount } hooks manages its
+    // own DOM; components use this to appear inside other vnode trees
+    function isHooked(vnode) {
+      return vnode.tag !== null && typeof vnode.tag === 'object';
+    }
+    
+    function unmountHooks(vnode) {
+      if (isHooked(vnode)) {
+        vnode.tag.unmount(vnode);
+      } else if (vnode.children) {
+        vnode.children.forEach(unmountHooks);
+      }
+    }
+    
+    function mount(vnode, parent, ref, svg) {
+      if (isHooked(vnode)) {
+        vnode.el = vnode.tag.mount(vnode);
+        parent.insertBefore(vnode.el, ref);
+        return vnode.el;
+      }
+      
+      if (vnode.tag === Text) {
+        vnode.el = document.createTextNode(vnode.text);
+        parent.insertBefore(vnode.el, ref);
+        return vnode.el;
+      }
+      
+      if (vnode.tag === Fragment) {
+        vnode.el = document.createTextNode('');
+        vnode.anchor = document.createTextNode('');
+        parent.insertBefore(vnode.el, ref);
+        parent.insertBefore(vnode.anchor, ref);
+        childrenOf(vnode).forEach(child => mount(child, parent, vnode.anchor, svg));
+        return vnode.el;
+      }
       
-      for (const key in obj) {
-        let value = obj[key];
-        
-        Object.defineProperty(reactiveObj, key, {
-          get() {
-            return value;
-          },
-          set(newValue) {
-            if (value !== newValue) {
-              const oldValue = value;
-              value = newValue;
-              
-              if (watchers[key]) {
-                watchers[key].forEach(watcher => {
-                  watcher(newValue, oldValue);
-                });
-              }
-            }
-          }
-        });
+      svg = svg || vnode.tag === 'svg';
+      const el = svg ? document.createElementNS(SVG_NS, vnode.tag) : document.createElement(vnode.tag);
+      vnode.el = el;
+      
+      const props = vnode.props || (vnode.props = {});
+      Object.keys(props).forEach(key => setProp(el, key, props[key], undefined, svg));
+      
+      if (props.innerHTML === undefined || props.innerHTML === null) {
+        const childSvg = svg && vnode.tag !== 'foreignObject';
+        childrenOf(vnode).forEach(child => mount(child, el, null, childSvg));
       }
       
-      return reactiveObj;
+      parent.insertBefore(el, ref);
+      return el;
     }
     
-    function watch(key, callback) {
-      if (!watchers[key]) {
-        watchers[key] = [];
-      }
-      watchers[key].push(callback);
+    function remove(vnode) {
+      unmountHooks(vnode);
       
-      return function() {
-        const index = watchers[key].indexOf(callback);
-        if (index > -1) {
-          watchers[key].splice(index, 1);
+      if (vnode.tag === Fragment) {
+        let node = vnode.el;
+        const end = vnode.anchor;
+        while (node) {
+          const nextNode = node.nextSibling;
+          if (node.parentNode) node.parentNode.removeChild(node);
+          if (node === end) break;
+          node = nextNode;
         }
-      };
+      } else if (vnode.el && vnode.el.parentNode) {
+        vnode.el.parentNode.removeChild(vnode.el);
+      }
     }
     
-    function bind(element, stateKey, attribute = 'value') {
-      const el = ok(element).first().elements[0];
-      if (!el) return;
+    // Indexes (into sequence) of the longest strictly increasing run, skipping -1 entries
+    function longestIncreasing(sequence) {
+      const predecessors = new Array(sequence.length);
+      const tails = [];
       
-      if (state[stateKey] !== undefined) {
-        el[attribute] = state[stateKey];
+      sequence.forEach((value, i) => {
+        if (value < 0) return;
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+          const mid = (low + high) >> 1;
+          if (sequence[tails[mid]] < value) low = mid + 1;
+          else high = mid;
+        }
+        predecessors[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+      });
+      
+      const result = new Set();
+      let index = tails.length ? tails[tails.length - 1] : -1;
+      while (index !== undefined && index >= 0) {
+        result.add(index);
+        index = predecessors[index];
       }
+      return result;
+    }
+    
+    // Reconcile a list of children inside parent, before endRef. Keyed children are
+    // matched by key wherever they moved; unkeyed ones by position and tag. Only
+    // children outside the longest stable run are moved, so focus and selection survive.
+    function patchChildren(parent, oldChildren, newChildren, svg, endRef) {
+      const keyed = new Map();
+      const unkeyed = [];
+      oldChildren.forEach((child, index) => {
+        if (child.key !== null && child.key !== undefined) keyed.set(child.key, index);
+        else unkeyed.push(index);
+      });
       
-      el.addEventListener('input', function() {
-        state[stateKey] = el[attribute];
+      const used = new Set();
+      let unkeyedPos = 0;
+      const sources = newChildren.map(child => {
+        let index;
+        if (child.key !== null && child.key !== undefined) {
+          index = keyed.get(child.key);
+          keyed.delete(child.key);
+        } else {
+          while (unkeyedPos < unkeyed.length && index === undefined) {
+            const candidate = unkeyed[unkeyedPos++];
+            if (sameVnode(oldChildren[candidate], child)) index = candidate;
+          }
+        }
+        if (index === undefined || !sameVnode(oldChildren[index], child)) return -1;
+        used.add(index);
+        return index;
       });
       
-      watch(stateKey, function(newValue) {
-        el[attribute] = newValue;
+      oldChildren.forEach((child, index) => {
+        if (!used.has(index)) remove(child);
       });
+      
+      const stable = longestIncreasing(sources);
+      let next = endRef;
+      
+      for (let i = newChildren.length - 1; i >= 0; i--) {
+        const child = newChildren[i];
+        if (sources[i] === -1) {
+          mount(child, parent, next, svg);
+        } else {
+          patchVnode(oldChildren[sources[i]], child, svg);
+          if (!stable.has(i)) move(child, parent, next);
+        }
+        next = firstNode(child);
+      }
     }
     
-    ok.reactive = { reactive, watch, bind };
-  });
-
-  // Virtual DOM Module
-  ok.module('vdom', function() {
-    function h(tag, props = {}, children = []) {
-      return {
-        tag,
-        props,
-        children: Array.isArray(children) ? children : [children]
-      };
+    function patchVnode(oldVnode, vnode, svg) {
+      vnode.el = oldVnode.el;
+      
+      if (isHooked(vnode)) {
+        vnode.tag.update(oldVnode, vnode);
+        return;
+      }
+      
+      if (vnode.tag === Text) {
+        if (vnode.text !== oldVnode.text) vnode.el.nodeValue = vnode.text;
+        return;
+      }
+      
+      if (vnode.tag === Fragment) {
+        vnode.anchor = oldVnode.anchor;
+        patchChildren(vnode.el.parentNode, childrenOf(oldVnode), childrenOf(vnode), svg, vnode.anchor);
+        return;
+      }
+      
+      svg = svg || vnode.tag === 'svg';
+      const oldProps = oldVnode.props || {};
+      const props = vnode.props || (vnode.props = {});
+      const hadHTML = oldProps.innerHTML !== undefined && oldProps.innerHTML !== null;
+      const hasHTML = props.innerHTML !== undefined && props.innerHTML !== null;
+      
+      if (hadHTML && !hasHTML) vnode.el.innerHTML = '';
+      patchProps(vnode.el, oldProps, props, svg);
+      
+      if (!hasHTML) {
+        const childSvg = svg && vnode.tag !== 'foreignObject';
+        patchChildren(vnode.el, hadHTML ? [] : childrenOf(oldVnode), childrenOf(vnode), childSvg, null);
+      }
     }
     
-    function createElement(vnode) {
-      if (typeof vnode === 'string') {
-        return document.createTextNode(vnode);
+    // Update the DOM rendered for oldVnode to match vnode. Returns vnode's first DOM node.
+    function patch(oldVnode, vnode) {
+      if (oldVnode === vnode) return vnode.el;
+      
+      if (sameVnode(oldVnode, vnode)) {
+        const svg = !!(oldVnode.el && oldVnode.el.namespaceURI === SVG_NS && vnode.tag !== 'svg');
+        patchVnode(oldVnode, vnode, svg);
+      } else {
+        const parent = firstNode(oldVnode).parentNode;
+        mount(vnode, parent, firstNode(oldVnode), false);
+        remove(oldVnode);
+      }
+      return vnode.el;
+    }
+    
+    // Render a vnode into container, patching whatever was rendered there before
+    function render(vnode, container) {
+      const el = ok(container).first().elements[0];
+      if (!el) return null;
+      
+      if (el._vnode && vnode) {
+        patch(el._vnode, vnode);
+      } else if (vnode) {
+        el.textContent = '';
+        mount(vnode, el, null, false);
+      } else if (el._vnode) {
+        remove(el._vnode);
       }
       
-      const element = document.createElement(vnode.tag);
+      el._vnode = vnode || null;
+      return vnode ? vnode.el : null;
+    }
+    
+    const voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+    const rawTextTags = ['script', 'style', 'textarea', 'title'];
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+    
+    function decodeEntities(str) {
+      if (str.indexOf('&') === -1) return str;
+      return str.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, code) => {
+        if (code[0] === '#') {
+          const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+          return String.fromCodePoint(point);
+        }
+        const name = code.toLowerCase();
+        return ok.utils.hasOwn(entities, name) ? entities[name] : match;
+      });
+    }
+    
+    // Parse an HTML string into vnodes without touching the DOM. Text inside
+    // {{ }} is kept intact, so component templates can be parsed before interpolation.
+    function parse(html) {
+      const root = { tag: null, props: {}, children: [] };
+      const stack = [root];
+      const tagPattern = /<([a-zA-Z][\w:.-]*)/y;
+      const closePattern = /<\/([a-zA-Z][\w:.-]*)\s*>/y;
+      const attrPattern = /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+      let i = 0;
+      
+      const current = () => stack[stack.length - 1];
+      const startsTag = pos => html[pos] === '<' && /[a-zA-Z\/!]/.test(html[pos + 1] || '');
       
-      if (vnode.props) {
-        Object.keys(vnode.props).forEach(key => {
-          if (key === 'className') {
-            element.className = vnode.props[key];
-          } else if (key.startsWith('on') && key.length > 2) {
-            const event = key.substring(2).toLowerCase();
-            element.addEventListener(event, vnode.props[key]);
+      while (i < html.length) {
+        if (html.startsWith('<!--', i)) {
+          const end = html.indexOf('-->', i + 4);
+          i = end === -1 ? html.length : end + 3;
+          continue;
+        }
+        
+        if (html.startsWith('<!', i)) {
+          const end = html.indexOf('>', i);
+          i = end === -1 ? html.length : end + 1;
+          continue;
+        }
+        
+        closePattern.lastIndex = i;
+        const close = closePattern.exec(html);
+        if (close) {
+          const tag = close[1].toLowerCase();
+          for (let j = stack.length - 1; j > 0; j--) {
+            if (stack[j].tag === tag) {
+              stack.length = j;
+              break;
+            }
+          }
+          i = closePattern.lastIndex;
+          continue;
+        }
+        
+        tagPattern.lastIndex = i;
+        const open = tagPattern.exec(html);
+        if (open) {
+          const node = { tag: open[1].toLowerCase(), props: {}, children: [] };
+          i = tagPattern.lastIndex;
+          
+          for (;;) {
+            attrPattern.lastIndex = i;
+            const attr = attrPattern.exec(html);
+            if (!attr) break;
+            const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4];
+            node.props[attr[1]] = value === undefined ? '' : decodeEntities(value);
+            i = attrPattern.lastIndex;
+          }
+          
+          const end = html.indexOf('>', i);
+          const selfClosing = end > 0 && html[end - 1] === '/';
+          i = end === -1 ? html.length : end + 1;
+          current().children.push(node);
+          
+          if (rawTextTags.includes(node.tag)) {
+            const closeAt = html.toLowerCase().indexOf(`</${node.tag}`, i);
+            const content = html.slice(i, closeAt === -1 ? html.length : closeAt);
+            if (content) node.children.push(text(node.tag === 'textarea' || node.tag === 'title' ? decodeEntities(content) : content));
+            i = closeAt === -1 ? html.length : html.indexOf('>', closeAt) + 1;
+          } else if (!selfClosing && !voidTags.includes(node.tag)) {
+            stack.push(node);
+          }
+          continue;
+        }
+        
+        // Text runs to the next tag; a '<' inside {{ }} or not followed by a tag name is text
+        let j = i + 1;
+        while (j < html.length && !startsTag(j)) {
+          if (html.startsWith('{{', j - 1)) {
+            const end = html.indexOf('}}', j);
+            j = end === -1 ? html.length : end + 2;
           } else {
-            element.setAttribute(key, vnode.props[key]);
+            j++;
           }
-        });
+        }
+        current().children.push(text(decodeEntities(html.slice(i, j))));
+        i = j;
       }
       
-      if (vnode.children) {
-        vnode.children.forEach(child => {
-          element.appendChild(createElement(child));
-        });
+      const toVnode = node => (node.tag === Text ? node : h(node.tag, node.props, node.children.map(toVnode)));
+      return root.children.map(toVnode);
+    }
+    
+    function styleToString(value) {
+      if (!value || typeof value === 'string') return value || '';
+      return Object.keys(value)
+        .filter(prop => value[prop] !== null && value[prop] !== undefined && value[prop] !== '')
+        .map(prop => `${prop.startsWith('--') ? prop : prop.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase())}: ${value[prop]}`)
+        .join('; ');
+    }
+    
+    // Serialize a vnode to HTML without a DOM. Fragments are wrapped in <!--[--> and
+    // <!--]--> so hydrate() can find their boundaries again.
+    function renderToString(vnode) {
+      if (isHooked(vnode)) return vnode.tag.renderToString(vnode);
+      if (vnode.tag === Text) return ok.utils.escapeHtml(vnode.text);
+      if (vnode.tag === Fragment) return `<!--[-->${childrenOf(vnode).map(renderToString).join('')}<!--]-->`;
+      
+      const props = vnode.props || {};
+      let attrs = '';
+      let inner = null;
+      Object.keys(props).forEach(key => {
+        const value = props[key];
+        if (key === 'key' || typeof value === 'function' || value === null || value === undefined || value === false) return;
+        if (key === 'innerHTML') {
+          inner = String(value);
+        } else if (key === 'textContent') {
+          inner = ok.utils.escapeHtml(value);
+        } else if (key === 'className' || key === 'class') {
+          attrs += ` class="${ok.utils.escapeHtml(ok.utils.normalizeClass(value))}"`;
+        } else if (key === 'style') {
+          attrs += ` style="${ok.utils.escapeHtml(styleToString(value))}"`;
+        } else {
+          attrs += value === true ? ` ${key}` : ` ${key}="${ok.utils.escapeHtml(value)}"`;
+        }
+      });
+      
+      if (voidTags.includes(vnode.tag)) return `<${vnode.tag}${attrs}>`;
+      if (inner === null) {
+        const raw = vnode.tag === 'script' || vnode.tag === 'style';
+        inner = childrenOf(vnode).map(child => (raw && child.tag === Text ? child.text : renderToString(child))).join('');
+      }
+      return `<${vnode.tag}${attrs}>${inner}</${vnode.tag}>`;
+    }
+    
+    function isMarker(node, data) {
+      return !!node && node.nodeType === 8 && node.data === data;
+    }
+    
+    // Adopt existing nodes starting at node for vnode; returns the node after them
+    function hydrateNode(vnode, node, parent, svg) {
+      if (isHooked(vnode)) {
+        vnode.el = vnode.tag.hydrate(vnode, node);
+        return vnode.el.nextSibling;
+      }
+      
+      if (vnode.tag === Text) {
+        // Empty text has no DOM of its own, and adjacent texts arrive merged into one node
+        if (!vnode.text || !node || node.nodeType !== 3) {
+          vnode.el = document.createTextNode(vnode.text);
+          parent.insertBefore(vnode.el, node || null);
+          return node;
+        }
+        if (node.data !== vnode.text) {
+          if (node.data.startsWith(vnode.text)) node.splitText(vnode.text.length);
+          else node.data = vnode.text;
+        }
+        vnode.el = node;
+        return node.nextSibling;
+      }
+      
+      if (vnode.tag === Fragment && isMarker(node, '[')) {
+        vnode.el = node;
+        let next = node.nextSibling;
+        childrenOf(vnode).forEach(child => { next = hydrateNode(child, next, parent, svg); });
+        if (!isMarker(next, ']')) {
+          vnode.anchor = document.createComment(']');
+          parent.insertBefore(vnode.anchor, next || null);
+          return next;
+        }
+        vnode.anchor = next;
+        return next.nextSibling;
+      }
+      
+      svg = svg || vnode.tag === 'svg';
+      if (vnode.tag === Fragment || !node || node.nodeType !== 1 || node.nodeName.toLowerCase() !== vnode.tag.toLowerCase()) {
+        console.warn('Hydration mismatch, re-rendering', vnode.tag);
+        mount(vnode, parent, node || null, svg);
+        if (node) {
+          const next = node.nextSibling;
+          parent.removeChild(node);
+          return next;
+        }
+        return null;
+      }
+      
+      // Markup already carries the attributes; only listeners and live form state are applied
+      const el = vnode.el = node;
+      const props = vnode.props || (vnode.props = {});
+      Object.keys(props).forEach(key => {
+        if (typeof props[key] === 'function' || key === 'value' || key === 'checked' || key === 'selected') {
+          setProp(el, key, props[key], undefined, svg);
+        }
+      });
+      
+      if (props.innerHTML === undefined || props.innerHTML === null) {
+        const childSvg = svg && vnode.tag !== 'foreignObject';
+        let next = el.firstChild;
+        childrenOf(vnode).forEach(child => { next = hydrateNode(child, next, el, childSvg); });
+        while (next) {
+          const extra = next;
+          next = next.nextSibling;
+          el.removeChild(extra);
+        }
+      }
+      return el.nextSibling;
+    }
+    
+    // Attach vnode to server-rendered DOM starting at node, instead of creating new DOM
+    function hydrate(vnode, node) {
+      const el = ok(node).first().elements[0];
+      if (!el || !el.parentNode) return null;
+      hydrateNode(vnode, el, el.parentNode, !!(el.namespaceURI === SVG_NS && vnode.tag !== 'svg'));
+      return vnode.el;
+    }
+    
+    // Create detached DOM for a vnode; fragments come back as a DocumentFragment
+    function createElement(vnode) {
+      if (typeof vnode === 'string' || typeof vnode === 'number') {
+        return document.createTextNode(String(vnode));
       }
       
-      return element;
+      const container = document.createDocumentFragment();
+      mount(vnode, container, null, false);
+      return vnode.tag === Fragment ? container : vnode.el;
     }
     
-    ok.vdom = { h, createElement };
+    ok.vdom = { h, text, Fragment, Text, createElement, patch, render, parse, renderToString, hydrate };
   });
 
   // Animation Module
@@ -1567,13 +5003,15 @@
       }
     };
     
-    const style = document.createElement('style');
-    style.textContent = `
-      @keyframes bounce { 0%, 20%, 53%, 80%, 100% { transform: translate3d(0, 0, 0); } 40%, 43% { transform: translate3d(0, -30px, 0); } 70% { transform: translate3d(0, -15px, 0); } 90% { transform: translate3d(0, -4px, 0); } }
-      @keyframes shake { 0%, 100% { transform: translate3d(0, 0, 0); } 10%, 30%, 50%, 70%, 90% { transform: translate3d(-10px, 0, 0); } 20%, 40%, 60%, 80% { transform: translate3d(10px, 0, 0); } }
-      @keyframes pulse { 0% { transform: scale(1); } 50% { transform: scale(1.1); } 100% { transform: scale(1); } }
-    `;
-    document.head.appendChild(style);
+    if (hasDOM) {
+      const style = document.createElement('style');
+      style.textContent = `
+        @keyframes bounce { 0%, 20%, 53%, 80%, 100% { transform: translate3d(0, 0, 0); } 40%, 43% { transform: translate3d(0, -30px, 0); } 70% { transform: translate3d(0, -15px, 0); } 90% { transform: translate3d(0, -4px, 0); } }
+        @keyframes shake { 0%, 100% { transform: translate3d(0, 0, 0); } 10%, 30%, 50%, 70%, 90% { transform: translate3d(-10px, 0, 0); } 20%, 40%, 60%, 80% { transform: translate3d(10px, 0, 0); } }
+        @keyframes pulse { 0% { transform: scale(1); } 50% { transform: scale(1.1); } 100% { transform: scale(1); } }
+      `;
+      document.head.appendChild(style);
+    }
     
     Object.keys(animations).forEach(name => {
       OneKit.prototype[name] = animations[name];
@@ -1939,6 +5377,21 @@
       return parts.join(dec_point);
     }
 
+    function hasOwn(obj, key) {
+      return Object.prototype.hasOwnProperty.call(obj, key);
+    }
+    
+    // 'a', ['a', { b: true }] or { a: true, b: false } -> a class string
+    function normalizeClass(value) {
+      if (Array.isArray(value)) return value.map(normalizeClass).filter(Boolean).join(' ');
+      if (value && typeof value === 'object') return Object.keys(value).filter(k => value[k]).join(' ');
+      return value === null || value === undefined || value === false ? '' : String(value);
+    }
+
+    function escapeHtml(str) {
+      return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+    }
+
     function formatCurrency(num, currency = '$', decimals = 2) {
       return currency + formatNumber(num, decimals);
     }
@@ -2032,6 +5485,9 @@
       formatDate,
       formatNumber,
       formatCurrency,
+      escapeHtml,
+      hasOwn,
+      normalizeClass,
       truncate,
       capitalize,
       camelCase,
@@ -2062,9 +5518,17 @@
     function register(name, plugin, namespace = 'default') {
       if (!plugins[namespace]) { plugins[namespace] = {}; }
       plugins[namespace][name] = plugin;
-      if (typeof plugin === 'function') { OneKit.prototype[name] = plugin; }
+      // Directive definitions aren't collection methods
+      if (namespace !== 'directive' && typeof plugin === 'function') { OneKit.prototype[name] = plugin; }
+    }
+    function get(name, namespace = 'default') {
+      return plugins[namespace] ? plugins[namespace][name] : undefined;
     }
-    ok.plugin = { register };
+    // Register a custom ok-* directive for ok.directive
+    function directive(name, definition) {
+      register(name, definition, 'directive');
+    }
+    ok.plugin = { register, get, directive };
   });
 
   // Accessibility Module
@@ -2263,163 +5727,832 @@
       root.style.setProperty('--ok-text-secondary', currentTheme.textSecondary);
       root.style.setProperty('--ok-border', currentTheme.border);
       
-      if (currentTheme.dark) { document.body.classList.add('ok-dark'); } else { document.body.classList.remove('ok-dark'); }
-      localStorage.setItem('ok-theme', JSON.stringify(currentTheme));
-      return currentTheme;
+      if (currentTheme.dark) { document.body.classList.add('ok-dark'); } else { document.body.classList.remove('ok-dark'); }
+      localStorage.setItem('ok-theme', JSON.stringify(currentTheme));
+      return currentTheme;
+    }
+    
+    function toggleDarkMode() {
+      return applyTheme({
+        dark: !currentTheme.dark,
+        background: currentTheme.dark ? '#ffffff' : '#121212',
+        surface: currentTheme.dark ? '#f5f5f5' : '#1e1e1e',
+        text: currentTheme.dark ? '#333333' : '#ffffff',
+        textSecondary: currentTheme.dark ? '#666666' : '#cccccc',
+        border: currentTheme.dark ? '#dddddd' : '#333333'
+      });
+    }
+    
+    function loadTheme() {
+      try { const saved = localStorage.getItem('ok-theme'); if (saved) { return applyTheme(JSON.parse(saved)); } } catch (e) { console.error('Failed to load theme:', e); }
+      return applyTheme({});
+    }
+    
+    ok.theme = { apply: applyTheme, toggleDark: toggleDarkMode, load: loadTheme, current: () => ({ ...currentTheme }) };
+  });
+
+  // Router Module
+  ok.module('router', function() {
+    const routes = {};
+    const OUTLET = 'ok-router-view';
+    let currentRoute = null;
+    let notFoundRoute = null;
+    let base = '/';
+    let outlet = '#app';
+    // What is on screen, one level per matched route: { record, containers, instances }
+    let levels = [];
+    const beforeEachGuards = [];
+    const MAX_REDIRECTS = 10;
+    let navigationId = 0;
+    let position = 0;
+    let restoring = false;
+    let started = false;
+    let resolveReady;
+    // Resolves with the result of the first navigation init() starts
+    const ready = new Promise(resolve => { resolveReady = resolve; });
+    let routerHistory = null;
+    let unlisten = null;
+    let ranked = null;
+    const resolvedViews = new Map();
+    const loadingViews = new Map();
+    const placeholders = { loading: null, error: null };
+    let lazyViewCount = 0;
+    const namedRoutes = {};
+    let routeOrder = 0;
+    const SCORE_STATIC = 4;
+    const SCORE_CONSTRAINED = 3;
+    const SCORE_PARAM = 2;
+    const SCORE_OPTIONAL = 1;
+    const SCORE_SPLAT = 0;
+    // ':name', optionally followed by '(regex)' and a '?' or '*' modifier
+    const PARAM_SEGMENT = /^:(\w+)(?:\((.+)\))?([?*])?$/;
+    
+    // add(path, component, options). The component may also be a map of named
+    // views ({ default: 'layout', sidebar: 'nav' }); options.children nests routes
+    // ({ path, component, children }) whose paths are relative to the parent.
+    // Components can be lazy (see loadView). Other options: name (for url() and
+    // navigate({ name })), beforeEnter/beforeLeave guards, resolve (data loaded before
+    // rendering and passed as props), meta (merged into the route for guards) and
+    // loading/error views for lazy components.
+    function add(path, component, options = {}) {
+      addRecord(path, component, options, null);
+      return this;
+    }
+    
+    function addRecord(path, component, options, parent) {
+      const fullPath = parent ? joinPaths(parent.path, path) : path;
+      const { keys, regex, score } = compilePath(fullPath);
+      const record = { path: fullPath, views: viewMap(component), options, params: keys, regex, score, order: routeOrder++, parent };
+      routes[fullPath] = record;
+      ranked = null;
+      if (options.name) {
+        namedRoutes[options.name] = record;
+      }
+      
+      // Registered after the parent, so a child with an empty path takes over the parent's URL
+      (options.children || []).forEach(child => {
+        addRecord(child.path || '', child.components || child.component, child, record);
+      });
+      return record;
+    }
+    
+    function viewMap(component) {
+      if (component && typeof component === 'object' && !component.element) return component;
+      return { default: component };
+    }
+    
+    function joinPaths(parentPath, path) {
+      if (path.startsWith('/')) return path;
+      const joined = parentPath.replace(/\/$/, '') + (path ? '/' + path : '');
+      return joined || '/';
+    }
+    
+    function notFound(component) {
+      notFoundRoute = component;
+      return this;
+    }
+    
+    function setBase(path) {
+      base = path;
+      return this;
+    }
+    
+    // Where top-level routes render; '#app' by default
+    function setOutlet(target) {
+      outlet = target;
+      return this;
+    }
+    
+    // Compile a route path into a regex. Segments can be static, ':id', ':id?'
+    // (optional), ':id(\d+)' (must match the pattern) or a splat ('*' or ':rest*')
+    // that takes the rest of the path. Each segment is scored for ranking.
+    function compilePath(path) {
+      const keys = [];
+      const score = [];
+      let source = '';
+      
+      path.split('/').filter(Boolean).forEach(segment => {
+        const param = segment.match(PARAM_SEGMENT);
+        
+        if (segment === '*' || (param && param[3] === '*')) {
+          keys.push(param ? param[1] : '*');
+          source += '(?:/(.*))?';
+          score.push(SCORE_SPLAT);
+        } else if (param) {
+          keys.push(param[1]);
+          // Groups inside a constraint must not shift the capture indexes
+          const pattern = param[2] ? param[2].replace(/(^|[^\\])\((?!\?)/g, '$1(?:') : '[^/]+';
+          if (param[3] === '?') {
+            source += `(?:/(${pattern}))?`;
+            score.push(SCORE_OPTIONAL);
+          } else {
+            source += `/(${pattern})`;
+            score.push(param[2] ? SCORE_CONSTRAINED : SCORE_PARAM);
+          }
+        } else {
+          source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          score.push(SCORE_STATIC);
+        }
+      });
+      
+      return { keys, score, regex: new RegExp(`^${source}/?$`) };
+    }
+    
+    // More specific routes first: compare segment scores left to right, then prefer
+    // fewer segments (so '/files' beats '/files/*'), then registration order
+    function compareRoutes(a, b) {
+      const length = Math.max(a.score.length, b.score.length);
+      for (let i = 0; i < length; i++) {
+        if (i >= a.score.length) return -1;
+        if (i >= b.score.length) return 1;
+        if (a.score[i] !== b.score[i]) return b.score[i] - a.score[i];
+      }
+      return a.order - b.order;
+    }
+    
+    function decode(value) {
+      try {
+        return decodeURIComponent(value);
+      } catch (e) {
+        return value;
+      }
+    }
+    
+    // Split '/users/1?tab=posts#top' into path, parsed query and hash
+    function parseLocation(fullPath) {
+      const hashIndex = fullPath.indexOf('#');
+      const hash = hashIndex > -1 ? fullPath.substring(hashIndex + 1) : '';
+      const rest = hashIndex > -1 ? fullPath.substring(0, hashIndex) : fullPath;
+      const queryIndex = rest.indexOf('?');
+      const path = queryIndex > -1 ? rest.substring(0, queryIndex) : rest;
+      const query = queryIndex > -1 ? parseQuery(rest.substring(queryIndex + 1)) : {};
+      return { path: path || '/', query, hash };
+    }
+    
+    // Like ok.utils.parseQuery, but a repeated key (?tag=a&tag=b) collects its values
+    // into an array, the way queryString() writes arrays
+    function parseQuery(search) {
+      const query = {};
+      new URLSearchParams(search).forEach((value, key) => {
+        query[key] = ok.utils.hasOwn(query, key) ? [].concat(query[key], value) : value;
+      });
+      return query;
+    }
+    
+    function stripBase(path) {
+      if (base !== '/' && path.startsWith(base)) {
+        path = path.substring(base.length) || '/';
+        if (!path.startsWith('/')) path = '/' + path;
+      }
+      return path;
+    }
+    
+    function withBase(path) {
+      return base === '/' ? path : base.replace(/\/$/, '') + path;
+    }
+    
+    function matchRoute(path) {
+      path = stripBase(path);
+      
+      if (!ranked) {
+        ranked = Object.keys(routes).map(key => routes[key]).sort(compareRoutes);
+      }
+      
+      for (const route of ranked) {
+        const match = route.regex.exec(path);
+        if (!match) continue;
+        
+        const params = {};
+        route.params.forEach((key, i) => {
+          if (match[i + 1] !== undefined) params[key] = decode(match[i + 1]);
+        });
+        return { route, params };
+      }
+      
+      return null;
+    }
+    
+    // The chain of records from the top-level route down to record
+    function matchedChain(record) {
+      const matched = [];
+      for (let r = record; r; r = r.parent) matched.unshift(r);
+      return matched;
+    }
+    
+    // Outlets for one level: the configured target for top-level routes, otherwise the
+    // <ok-router-view name="..."> elements rendered by the parent level
+    function findOutlets(depth) {
+      const outlets = {};
+      const scopes = depth === 0 ? [document] : Object.values(levels[depth - 1].containers);
+      
+      scopes.forEach(scope => {
+        scope.querySelectorAll(OUTLET).forEach(el => {
+          const name = el.getAttribute('name') || 'default';
+          if (!outlets[name]) outlets[name] = el;
+        });
+      });
+      if (depth === 0) {
+        outlets.default = ok(outlet).first().elements[0] || outlets.default;
+      }
+      return outlets;
+    }
+    
+    function clearContainer(level, name) {
+      const instance = level.instances[name];
+      if (instance) ok.component.destroy(instance);
+      level.instances[name] = null;
+      if (level.containers[name]) level.containers[name].innerHTML = '';
+    }
+    
+    function teardown(level) {
+      Object.keys(level.containers).forEach(name => clearContainer(level, name));
+    }
+    
+    function renderView(level, name, args, props) {
+      const view = resolvedView(level.record.views[name]);
+      const container = level.containers[name];
+      clearContainer(level, name);
+      
+      let instance = null;
+      if (typeof view === 'string') {
+        instance = ok.component.create(view, props);
+      } else if (typeof view === 'function') {
+        const result = view(...args);
+        if (typeof result === 'string') {
+          ok(container).html(result);
+        } else {
+          instance = result;
+        }
+      }
+      
+      if (instance) {
+        ok.component.mount(instance, container);
+        level.instances[name] = instance;
+      }
     }
     
-    function toggleDarkMode() {
-      return applyTheme({
-        dark: !currentTheme.dark,
-        background: currentTheme.dark ? '#ffffff' : '#121212',
-        surface: currentTheme.dark ? '#f5f5f5' : '#1e1e1e',
-        text: currentTheme.dark ? '#333333' : '#ffffff',
-        textSecondary: currentTheme.dark ? '#666666' : '#cccccc',
-        border: currentTheme.dark ? '#dddddd' : '#333333'
+    function renderLevel(level, args, props) {
+      Object.keys(level.record.views).forEach(name => {
+        if (level.containers[name]) {
+          renderView(level, name, args, props);
+        } else {
+          console.warn(`No outlet named "${name}" for route "${level.record.path}"`);
+        }
       });
     }
     
-    function loadTheme() {
-      try { const saved = localStorage.getItem('ok-theme'); if (saved) { return applyTheme(JSON.parse(saved)); } } catch (e) { console.error('Failed to load theme:', e); }
-      return applyTheme({});
+    // Lazy views: the functions of a route added with { lazy: true }, which return a
+    // promise (e.g. () => import('./pages/admin.js')), or a URL to a script or an HTML
+    // partial. Each is loaded once; resolvedViews maps it to what it loaded.
+    // Unlike ok.utils.isUrl, a component name is never taken for a URL.
+    function isViewUrl(view) {
+      return typeof view === 'string' && (/^(\/|\.\.?\/|https?:\/\/)/.test(view) || /\.(m?js|html?)([?#]|$)/.test(view));
     }
     
-    ok.theme = { apply: applyTheme, toggleDark: toggleDarkMode, load: loadTheme, current: () => ({ ...currentTheme }) };
-  });
-
-  // Router Module
-  ok.module('router', function() {
-    const routes = {};
-    let currentRoute = null;
-    let notFoundRoute = null;
-    let base = '/';
-    
-    function add(path, component, options = {}) {
-      routes[path] = { component, options, params: extractParamNames(path) };
-      return this;
+    function resolvedView(view) {
+      return resolvedViews.has(view) ? resolvedViews.get(view) : view;
     }
     
-    function notFound(component) {
-      notFoundRoute = component;
-      return this;
+    // Start loading the lazy views of records; pending is false when nothing needs loading
+    function loadViews(records) {
+      const loads = [];
+      records.forEach(record => {
+        Object.keys(record.views).forEach(name => {
+          const load = loadView(record.views[name], !!record.options.lazy);
+          if (load) loads.push(load);
+        });
+      });
+      return { pending: loads.length > 0, promise: Promise.all(loads) };
     }
     
-    function setBase(path) {
-      base = path;
-      return this;
+    function loadView(view, lazy) {
+      if (resolvedViews.has(view)) return null;
+      if (loadingViews.has(view)) return loadingViews.get(view);
+      
+      let promise;
+      if (isViewUrl(view)) {
+        promise = loadUrl(view);
+      } else if (lazy && typeof view === 'function') {
+        promise = new Promise(resolve => resolve(view())).then(toView);
+      } else {
+        return null;
+      }
+      
+      // Failures are not cached, so the next navigation tries again
+      promise = promise.then(loaded => {
+        loadingViews.delete(view);
+        resolvedViews.set(view, loaded);
+        return loaded;
+      }, error => {
+        loadingViews.delete(view);
+        throw error;
+      });
+      loadingViews.set(view, promise);
+      return promise;
     }
     
-    function extractParamNames(path) {
-      const paramNames = [];
-      const segments = path.split('/');
-      segments.forEach(segment => {
-        if (segment.startsWith(':')) {
-          paramNames.push(segment.substring(1));
-        }
-      });
-      return paramNames;
+    // A loader may resolve to a module (its default export is used), a component
+    // name, a component definition (registered under a generated name) or a function view
+    function toView(result) {
+      if (result && typeof result === 'object' && 'default' in result) {
+        result = result.default;
+      }
+      if (typeof result === 'string' || typeof result === 'function') return result;
+      if (result && typeof result === 'object') {
+        const name = `ok-lazy-view-${++lazyViewCount}`;
+        ok.component.register(name, result);
+        return name;
+      }
+      throw new Error('A lazy route component must resolve to a component name, definition or function');
     }
     
-    function matchRoute(path) {
-      if (base !== '/' && path.startsWith(base)) {
-        path = path.substring(base.length);
+    // Scripts are expected to register a component named after the file
+    // ('/pages/admin-page.js' -> 'admin-page'); anything else is an HTML partial
+    function loadUrl(url) {
+      const file = url.split(/[?#]/)[0];
+      
+      if (/\.m?js$/.test(file)) {
+        return new Promise((resolve, reject) => {
+          const script = document.createElement('script');
+          script.src = url;
+          script.onload = () => resolve(file.split('/').pop().replace(/\.m?js$/, ''));
+          script.onerror = () => reject(new Error(`Failed to load script "${url}"`));
+          document.head.appendChild(script);
+        });
       }
       
-      if (routes[path]) {
-        return { route: routes[path], params: {} };
+      return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`Failed to load "${url}": ${response.status}`);
+        return response.text();
+      }).then(html => () => html);
+    }
+    
+    // The innermost route's loading/error view, or the one given to init()
+    function placeholderView(records, key) {
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (records[i].options[key]) return records[i].options[key];
       }
+      return placeholders[key];
+    }
+    
+    // Show a loading or error view where records will render, replacing the levels that change
+    function showPlaceholder(records, view, args, props) {
+      let depth = 0;
+      while (depth < levels.length && depth < records.length && levels[depth].record === records[depth]) depth++;
+      levels.splice(depth).reverse().forEach(teardown);
       
-      for (const routePath in routes) {
-        const routeSegments = routePath.split('/');
-        const pathSegments = path.split('/');
-        
-        if (routeSegments.length !== pathSegments.length) continue;
-        
-        const params = {};
-        let isMatch = true;
-        
-        for (let i = 0; i < routeSegments.length; i++) {
-          const routeSegment = routeSegments[i];
-          const pathSegment = pathSegments[i];
-          
-          if (routeSegment.startsWith(':')) {
-            params[routeSegment.substring(1)] = pathSegment;
-          } else if (routeSegment !== pathSegment) {
-            isMatch = false;
-            break;
+      const container = view && findOutlets(depth).default;
+      if (!container) return;
+      
+      const record = { path: records[depth] ? records[depth].path : '', views: { default: view }, options: {}, parent: null };
+      const level = { record, containers: { default: container }, instances: {} };
+      levels.push(level);
+      renderLevel(level, args, props);
+    }
+    
+    // Render the matched chain, keeping the levels that are already on screen
+    function render(record, args, props) {
+      const matched = matchedChain(record);
+      let depth = 0;
+      
+      while (depth < levels.length && depth < matched.length && levels[depth].record === matched[depth]) {
+        const level = levels[depth];
+        Object.keys(level.instances).forEach(name => {
+          if (level.instances[name] && typeof resolvedView(level.record.views[name]) === 'string') {
+            ok.component.setProps(level.instances[name], props);
+          } else {
+            renderView(level, name, args, props);
           }
-        }
-        
-        if (isMatch) {
-          return { route: routes[routePath], params };
-        }
+        });
+        depth++;
       }
       
-      return null;
+      levels.splice(depth).reverse().forEach(teardown);
+      
+      for (; depth < matched.length; depth++) {
+        const level = { record: matched[depth], containers: {}, instances: {} };
+        const outlets = findOutlets(depth);
+        Object.keys(level.record.views).forEach(name => {
+          level.containers[name] = outlets[name] || null;
+        });
+        levels.push(level);
+        renderLevel(level, args, props);
+      }
+      
+      return matched;
     }
     
-    function navigate(path, state = {}, replace = false) {
-      const match = matchRoute(path);
+    // Navigation runs leave guards, global beforeEach guards, enter guards and
+    // resolvers in order, then updates the history and renders. Resolves to true
+    // once the route is shown and false if it was cancelled or not found.
+    // navigate(path, state, replace) or navigate({ name, params, query, hash, path, state, replace })
+    function navigate(target, state = {}, replace = false) {
+      if (target && typeof target === 'object') {
+        state = target.state || state;
+        replace = target.replace || replace;
+      }
       
-      if (match) {
-        const { route, params } = match;
-        
-        if (replace) {
-          history.replaceState(state, '', base + path);
-        } else {
-          history.pushState(state, '', base + path);
+      const fullPath = resolveTarget(target);
+      if (fullPath === null) return Promise.resolve(false);
+      return transition(fullPath, state, replace ? 'replace' : 'push', 0);
+    }
+    
+    // A path ('/users/1', with or without the base, or '#/users/1') or a location
+    // object, as a path relative to the base
+    function resolveTarget(target) {
+      if (typeof target === 'string') {
+        return stripBase(target.startsWith('#/') ? target.substring(1) : target);
+      }
+      if (target.name) {
+        return buildPath(target.name, target.params, target.query, target.hash);
+      }
+      return stripBase(target.path || '/') + queryString(target.query) + (target.hash ? '#' + target.hash : '');
+    }
+    
+    function queryString(query) {
+      if (!query) return '';
+      const search = new URLSearchParams();
+      Object.keys(query).forEach(key => {
+        const value = query[key];
+        if (value === undefined || value === null) return;
+        (Array.isArray(value) ? value : [value]).forEach(item => search.append(key, item));
+      });
+      const result = search.toString();
+      return result ? '?' + result : '';
+    }
+    
+    // Fill a named route's path with params; returns null if the route or a required param is missing
+    function buildPath(name, params = {}, query, hash) {
+      const record = namedRoutes[name];
+      if (!record) {
+        console.error(`Route "${name}" not found`);
+        return null;
+      }
+      
+      const segments = [];
+      for (const segment of record.path.split('/').filter(Boolean)) {
+        const param = segment.match(PARAM_SEGMENT);
+        if (!param && segment !== '*') {
+          segments.push(segment);
+          continue;
         }
         
-        if (typeof route.component === 'string') {
-          const component = ok.component.create(route.component, { ...params, ...state });
-          ok.component.mount(component, '#app');
-        } else if (typeof route.component === 'function') {
-          const result = route.component(params, state);
-          if (typeof result === 'string') {
-            ok('#app').html(result);
-          } else {
-            ok.component.mount(result, '#app');
-          }
+        const key = param ? param[1] : '*';
+        const modifier = param ? param[3] : '*';
+        const value = params[key];
+        if (value === undefined || value === null || value === '') {
+          if (modifier) continue;
+          console.error(`Missing param "${key}" for route "${name}"`);
+          return null;
         }
         
-        currentRoute = { path, params, state };
-        
-        const event = new CustomEvent('routechange', { detail: { path, params, state }, bubbles: true, cancelable: true });
-        document.dispatchEvent(event);
-        
-        return true;
-      } else if (notFoundRoute) {
-        if (typeof notFoundRoute === 'string') {
-          const component = ok.component.create(notFoundRoute, { path });
-          ok.component.mount(component, '#app');
-        } else if (typeof notFoundRoute === 'function') {
-          const result = notFoundRoute(path);
-          if (typeof result === 'string') {
-            ok('#app').html(result);
-          } else {
-            ok.component.mount(result, '#app');
+        if (modifier === '*') {
+          // Splats keep their slashes
+          segments.push(String(value).split('/').map(encodeURIComponent).join('/'));
+        } else {
+          if (param[2] && !new RegExp(`^(?:${param[2]})$`).test(String(value))) {
+            console.error(`Param "${key}" for route "${name}" does not match ${param[2]}`);
+            return null;
           }
+          segments.push(encodeURIComponent(value));
         }
-        
-        currentRoute = { path: '404', params: { requestedPath: path }, state };
-        return false;
       }
       
-      return false;
+      return '/' + segments.join('/') + queryString(query) + (hash ? '#' + hash : '');
+    }
+    
+    // The href for a named route: ok.router.url('user', { id: 42 }, { tab: 'posts' }),
+    // with the base (history mode) or '#' (hash mode) applied
+    function url(name, params, query) {
+      const path = buildPath(name, params, query);
+      if (path === null) return null;
+      const adapter = getHistory();
+      return adapter.href ? adapter.href(path) : path;
+    }
+    
+    // at is the stack position of the entry a back/forward landed on, when the router wrote it
+    function transition(fullPath, state, mode, redirects, at = null) {
+      const id = ++navigationId;
+      const { path, query, hash } = parseLocation(fullPath);
+      const match = matchRoute(path);
+      const notFoundRecord = notFoundRoute ? { path: '404', views: viewMap(notFoundRoute), options: {}, parent: null } : null;
+      const record = match ? match.route : notFoundRecord;
+      const params = match ? match.params : {};
+      
+      if (!record) return Promise.resolve(false);
+      
+      const from = currentRoute;
+      const previous = levels.map(level => level.record);
+      const matched = match ? matchedChain(record) : [];
+      const meta = Object.assign({}, ...matched.map(r => r.options.meta));
+      const to = { path, fullPath, params, query, hash, state, matched: matched.map(r => r.path), meta };
+      
+      const leaving = previous.filter(r => !matched.includes(r)).reverse();
+      const entering = matched.filter(r => !previous.includes(r));
+      const guards = [].concat(
+        leaving.map(r => r.options.beforeLeave).filter(Boolean),
+        beforeEachGuards,
+        entering.map(r => r.options.beforeEnter).filter(Boolean)
+      );
+      
+      return runGuards(guards, to, from)
+        .then(result => {
+          if (id !== navigationId) return false;
+          
+          if (result === false) {
+            // The URL already changed on back/forward; put the current route back
+            if (mode === 'pop' && from) restore(from, at);
+            return false;
+          }
+          if (typeof result === 'string' || (result && typeof result === 'object')) {
+            if (redirects >= MAX_REDIRECTS) {
+              errorHandler(new Error(`Too many redirects navigating to "${path}"`), 'Router');
+              return false;
+            }
+            const target = resolveTarget(result);
+            if (target === null) return false;
+            if (mode === 'pop') arrive(at);
+            return transition(target, result.state || {}, mode === 'push' ? 'push' : 'replace', redirects + 1);
+          }
+          
+          const records = match ? matched : [record];
+          const loading = loadViews(records);
+          if (loading.pending) {
+            showPlaceholder(records, placeholderView(records, 'loading'), [to], { path });
+          }
+          const loaded = loading.promise.then(() => null, error => error);
+          
+          return Promise.all([resolveData(matched, to), loaded]).then(([data, loadError]) => {
+            if (id !== navigationId) return false;
+            
+            if (mode === 'push') {
+              position++;
+              getHistory().push(fullPath, entryState(state));
+            } else if (mode === 'replace') {
+              getHistory().replace(fullPath, entryState(state));
+            } else {
+              arrive(at);
+              if (at === null) getHistory().replace(fullPath, entryState(state));
+            }
+            
+            if (loadError) {
+              errorHandler(loadError, 'Router');
+              showPlaceholder(records, placeholderView(records, 'error'), [loadError, to], { error: loadError, path });
+              currentRoute = { ...to, error: loadError };
+              return false;
+            }
+            
+            if (!match) {
+              render(record, [path], { path });
+              currentRoute = { path: '404', fullPath, params: { requestedPath: path }, query, hash, state };
+              return false;
+            }
+            
+            render(record, [params, state, data], { ...params, ...state, ...data });
+            currentRoute = { ...to, data };
+            
+            const event = new CustomEvent('routechange', { detail: { path, params, state }, bubbles: true, cancelable: true });
+            document.dispatchEvent(event);
+            
+            return true;
+          });
+        })
+        .catch(error => {
+          errorHandler(error, 'Router');
+          return false;
+        });
+    }
+    
+    // Guards run one after another; anything other than true/undefined stops the chain
+    function runGuards(guards, to, from) {
+      return guards.reduce((promise, guard) => promise.then(result => {
+        if (result !== undefined && result !== true) return result;
+        return guard(to, from);
+      }), Promise.resolve());
+    }
+    
+    // options.resolve maps prop names to functions returning data (or a promise), or to
+    // URLs fetched with ok.http.get. ':param' placeholders in URLs are filled from the route.
+    function resolveData(matched, to) {
+      const data = {};
+      const pending = [];
+      
+      matched.forEach(record => {
+        const resolvers = record.options.resolve || {};
+        Object.keys(resolvers).forEach(key => {
+          const resolver = resolvers[key];
+          const value = typeof resolver === 'string'
+            ? ok.http.get(resolver.replace(/:(\w+)/g, (m, name) => encodeURIComponent(to.params[name] === undefined ? m : to.params[name])))
+            : resolver(to);
+          pending.push(Promise.resolve(value).then(result => { data[key] = result; }));
+        });
+      });
+      
+      return Promise.all(pending).then(() => data);
+    }
+    
+    // Register a guard for every navigation: guard(to, from) may return false to
+    // cancel, a path or { path, state } to redirect, or a promise of either.
+    // Returns a function that removes the guard.
+    function beforeEach(guard) {
+      beforeEachGuards.push(guard);
+      return function() {
+        const index = beforeEachGuards.indexOf(guard);
+        if (index > -1) beforeEachGuards.splice(index, 1);
+      };
     }
 
     function replace(path, state = {}) {
       return navigate(path, state, true);
     }
     
-    function handlePopState(e) {
-      const path = window.location.pathname;
-      const state = e.state || {};
-      navigate(path, state);
+    function go(delta) {
+      getHistory().go(delta);
+    }
+    
+    function back() {
+      go(-1);
+    }
+    
+    function forward() {
+      go(1);
+    }
+    
+    // Back/forward (or a hash link) moved the location outside the router
+    function handleLocationChange(location) {
+      const entry = splitState(location.state);
+      // Stepping back after a cancelled back/forward is not a navigation
+      if (restoring) {
+        restoring = false;
+        if (entry.position !== null) position = entry.position;
+        return;
+      }
+      transition(stripBase(location.path), entry.state, 'pop', 0, entry.position);
+    }
+    
+    // Entries the router writes carry their position in the stack as okPosition,
+    // so a cancelled back/forward knows how far to go to return
+    function entryState(state) {
+      return Object.assign({}, state, { okPosition: position });
+    }
+    
+    function splitState(state) {
+      const { okPosition, ...rest } = state || {};
+      return { state: rest, position: typeof okPosition === 'number' ? okPosition : null };
     }
     
-    function init() {
-      window.addEventListener('popstate', handlePopState);
+    // Entries the router didn't write, like a plain hash link, count as new ones
+    function arrive(at) {
+      position = at === null ? position + 1 : at;
+    }
+    
+    // Undo a cancelled back/forward by going back to the current entry, or by
+    // rewriting the URL when the landing entry's position is unknown
+    function restore(from, at) {
+      if (at === null || at === position) {
+        getHistory().replace(from.fullPath, entryState(from.state));
+        return;
+      }
+      restoring = true;
+      getHistory().go(position - at);
+    }
+    
+    // History adapters keep the router independent of where the location lives.
+    // location() returns { path, state }; push/replace record a new location without
+    // notifying; listen(fn) calls fn(location) on back/forward and returns an unlisten function.
+    function webHistory() {
+      const read = () => ({ path: stripBase(window.location.pathname) + window.location.search + window.location.hash, state: history.state || {} });
+      return {
+        location: read,
+        href: path => withBase(path),
+        push: (path, state) => history.pushState(state, '', withBase(path)),
+        replace: (path, state) => history.replaceState(state, '', withBase(path)),
+        go: delta => history.go(delta),
+        listen(fn) {
+          const handler = () => fn(read());
+          window.addEventListener('popstate', handler);
+          return () => window.removeEventListener('popstate', handler);
+        }
+      };
+    }
+    
+    // Paths live in the fragment (#/users/1), so static hosts need no rewrites
+    function hashHistory() {
+      const read = () => ({ path: window.location.hash.substring(1) || '/', state: history.state || {} });
+      return {
+        location: read,
+        href: path => '#' + path,
+        push: (path, state) => history.pushState(state, '', '#' + path),
+        replace: (path, state) => history.replaceState(state, '', '#' + path),
+        go: delta => history.go(delta),
+        listen(fn) {
+          const handler = () => fn(read());
+          window.addEventListener('hashchange', handler);
+          return () => window.removeEventListener('hashchange', handler);
+        }
+      };
+    }
+    
+    // Entries are kept in an array, for embedded widgets and tests
+    function memoryHistory(initial = '/') {
+      const entries = [{ path: initial, state: {} }];
+      const listeners = [];
+      let index = 0;
+      return {
+        location: () => entries[index],
+        href: path => path,
+        push(path, state) {
+          entries.splice(index + 1);
+          entries.push({ path, state });
+          index++;
+        },
+        replace(path, state) {
+          entries[index] = { path, state };
+        },
+        go(delta) {
+          const next = Math.max(0, Math.min(entries.length - 1, index + delta));
+          if (next === index) return;
+          index = next;
+          listeners.slice().forEach(fn => fn(entries[index]));
+        },
+        listen(fn) {
+          listeners.push(fn);
+          return () => {
+            const i = listeners.indexOf(fn);
+            if (i > -1) listeners.splice(i, 1);
+          };
+        }
+      };
+    }
+    
+    // Navigating before init() uses the browser history
+    function getHistory() {
+      if (!routerHistory) routerHistory = webHistory();
+      return routerHistory;
+    }
+    
+    function createHistory(mode, options) {
+      if (mode && typeof mode === 'object') return mode;
+      if (mode === 'hash') return hashHistory();
+      if (mode === 'memory') return memoryHistory(options.initial);
+      if (mode && mode !== 'history') console.warn(`Unknown router mode "${mode}", using "history"`);
+      return webHistory();
+    }
+    
+    // Options: outlet (element or selector for top-level routes, default '#app'),
+    // mode ('history', 'hash', 'memory' or a custom history adapter), initial
+    // (the starting path in memory mode), loading and error (views shown while
+    // a lazy route component loads and when it fails; routes can override them)
+    function init(options = {}) {
+      if (options.outlet) {
+        outlet = options.outlet;
+      }
+      if (options.loading) {
+        placeholders.loading = options.loading;
+      }
+      if (options.error) {
+        placeholders.error = options.error;
+      }
+      
+      if (options.mode) {
+        if (unlisten) unlisten();
+        unlisten = null;
+        routerHistory = createHistory(options.mode, options);
+      }
+      if (!unlisten) {
+        unlisten = getHistory().listen(handleLocationChange);
+      }
+      
+      const location = getHistory().location();
+      const entry = splitState(location.state);
+      if (entry.position !== null) position = entry.position;
+      const navigation = replace(location.path, entry.state);
+      
+      // Calling init() again changes the options and navigates again, but the
+      // link handler is only added once
+      if (started) return this;
+      started = true;
+      navigation.then(resolveReady);
       
       document.addEventListener('click', function(e) {
         const target = e.target.closest('a');
@@ -2436,9 +6569,6 @@
         }
       });
       
-      const initialPath = window.location.pathname;
-      navigate(initialPath);
-      
       return this;
     }
     
@@ -2446,7 +6576,13 @@
       return currentRoute;
     }
     
-    ok.router = { add, notFound, setBase, navigate, replace, init, current };
+    // Runs on DOMContentLoaded for pages that never call init(), and does nothing for those that did
+    function start() {
+      if (!started) init();
+      return ok.router;
+    }
+    
+    ok.router = { add, notFound, setBase, setOutlet, navigate, replace, url, go, back, forward, beforeEach, init, start, current, ready };
   });
 
   // Storage Module
@@ -2544,9 +6680,9 @@
       let value = get(key, defaultValue, type);
       const reactiveObj = ok.reactive.reactive({ value });
       
-      ok.reactive.watch('value', (newValue) => {
+      ok.reactive.watch(reactiveObj, 'value', (newValue) => {
         safeSet(key, newValue, type);
-      });
+      }, { deep: true });
       
       window.addEventListener('storage', function(e) {
         if (e.key === key && e.newValue !== null) {
@@ -2605,9 +6741,9 @@
         }
       });
       
-      ok.reactive.watch('items', (newItems) => {
+      ok.reactive.watch(reactiveCollection, 'items', (newItems) => {
         safeSet(storageKey, newItems, type);
-      });
+      }, { deep: true });
       
       window.addEventListener('storage', function(e) {
         if (e.key === storageKey && e.newValue !== null) {
@@ -2626,9 +6762,179 @@
     ok.storage = { set: safeSet, get, remove, clear, keys, reactive, collection, encrypt, decrypt };
   });
 
+  // Store Module - shared application state with mutations, actions and time travel
+  ok.module('store', function() {
+    // Replace the contents of a reactive object in place, so existing references stay valid
+    function assignState(target, source) {
+      Object.keys(target).forEach(key => {
+        if (!(key in source)) delete target[key];
+      });
+      Object.keys(source).forEach(key => {
+        target[key] = source[key];
+      });
+    }
+    
+    function pick(source, paths) {
+      if (!paths) return source;
+      const result = {};
+      paths.forEach(path => {
+        if (path in source) result[path] = source[path];
+      });
+      return result;
+    }
+    
+    // ok.createStore({ state, getters, mutations, actions, persist, historyLimit }).
+    // Mutations are the only synchronous writers and each one is recorded for undo/redo;
+    // actions may be async and are kept in an action log.
+    function createStore(options = {}) {
+      const mutations = options.mutations || {};
+      const actions = options.actions || {};
+      const limit = options.historyLimit || 100;
+      const persist = options.persist === true ? { key: 'ok-store' } : options.persist;
+      
+      const initial = typeof options.state === 'function' ? options.state() : ok.utils.deepClone(options.state || {});
+      if (persist) {
+        Object.assign(initial, ok.storage.get(persist.key, {}, persist.type || 'local'));
+      }
+      
+      const state = ok.reactive.reactive(initial);
+      const getters = {};
+      const subscribers = [];
+      const actionSubscribers = [];
+      const stops = [];
+      const snapshot = () => ok.utils.deepClone(ok.reactive.toRaw(state));
+      let history = [{ type: '@@init', payload: undefined, time: Date.now(), state: snapshot() }];
+      let position = 0;
+      const actionLog = [];
+      
+      Object.keys(options.getters || {}).forEach(name => {
+        const ref = ok.reactive.computed(() => options.getters[name](state, getters));
+        stops.push(ref.stop);
+        Object.defineProperty(getters, name, { get: () => ref.value, enumerable: true });
+      });
+      
+      function notify(mutation) {
+        if (persist) {
+          ok.storage.set(persist.key, pick(ok.reactive.toRaw(state), persist.paths), persist.type || 'local');
+        }
+        subscribers.slice().forEach(fn => {
+          try {
+            fn(mutation, state);
+          } catch (error) {
+            errorHandler(error, `Store subscriber "${mutation.type}"`);
+          }
+        });
+      }
+      
+      function commit(type, payload) {
+        const mutation = mutations[type];
+        if (!mutation) {
+          console.error(`Unknown mutation "${type}"`);
+          return;
+        }
+        
+        mutation(state, payload);
+        const entry = { type, payload, time: Date.now(), state: snapshot() };
+        
+        // A new commit after undo discards the redo branch
+        history = history.slice(0, position + 1);
+        history.push(entry);
+        if (history.length > limit + 1) history.shift();
+        position = history.length - 1;
+        
+        notify({ type, payload });
+      }
+      
+      function dispatch(type, payload) {
+        const action = actions[type];
+        if (!action) {
+          console.error(`Unknown action "${type}"`);
+          return Promise.reject(new Error(`Unknown action "${type}"`));
+        }
+        
+        const entry = { type, payload, time: Date.now(), status: 'pending' };
+        actionLog.push(entry);
+        if (actionLog.length > limit) actionLog.shift();
+        actionSubscribers.slice().forEach(fn => {
+          try {
+            fn(entry, state);
+          } catch (error) {
+            errorHandler(error, `Store action subscriber "${type}"`);
+          }
+        });
+        
+        const finish = (status, error) => {
+          entry.status = status;
+          entry.duration = Date.now() - entry.time;
+          if (error) entry.error = error;
+        };
+        
+        try {
+          return Promise.resolve(action({ state, getters, commit, dispatch }, payload)).then(result => {
+            finish('done');
+            return result;
+          }, error => {
+            finish('error', error);
+            throw error;
+          });
+        } catch (error) {
+          finish('error', error);
+          return Promise.reject(error);
+        }
+      }
+      
+      // Move to any recorded point; undo/redo step one entry back or forward
+      function travel(index, type) {
+        if (index < 0 || index >= history.length || index === position) return false;
+        position = index;
+        assignState(state, ok.utils.deepClone(history[index].state));
+        notify({ type, payload: index });
+        return true;
+      }
+      
+      function subscribe(fn, list = subscribers) {
+        list.push(fn);
+        return () => {
+          const index = list.indexOf(fn);
+          if (index > -1) list.splice(index, 1);
+        };
+      }
+      
+      return {
+        state,
+        getters,
+        commit,
+        dispatch,
+        subscribe: fn => subscribe(fn),
+        subscribeAction: fn => subscribe(fn, actionSubscribers),
+        watch: (getter, callback, watchOptions) => ok.reactive.watch(() => getter(state, getters), callback, watchOptions),
+        undo: () => travel(position - 1, '@@undo'),
+        redo: () => travel(position + 1, '@@redo'),
+        canUndo: () => position > 0,
+        canRedo: () => position < history.length - 1,
+        travel: index => travel(index, '@@travel'),
+        history: () => history.map(({ type, payload, time }, index) => ({ type, payload, time, current: index === position })),
+        actions: () => actionLog.slice(),
+        replaceState(newState) {
+          assignState(state, ok.utils.deepClone(newState));
+          history = [{ type: '@@replace', payload: undefined, time: Date.now(), state: snapshot() }];
+          position = 0;
+          notify({ type: '@@replace', payload: undefined });
+        },
+        destroy() {
+          stops.forEach(stop => stop());
+          subscribers.length = 0;
+          actionSubscribers.length = 0;
+        }
+      };
+    }
+    
+    ok.createStore = createStore;
+  });
+
   // ==================== INITIALIZATION ====================
 
-  const moduleNames = ['component', 'reactive', 'vdom', 'animation', 'gesture', 'api', 'utils', 'form', 'plugin', 'a11y', 'theme', 'router', 'storage'];
+  const moduleNames = ['component', 'reactive', 'expression', 'directive', 'vdom', 'animation', 'gesture', 'api', 'utils', 'form', 'plugin', 'a11y', 'theme', 'router', 'storage', 'store'];
   moduleNames.forEach(name => {
     if (modules[name]) {
       modules[name]();
@@ -2648,6 +6954,8 @@
   global.ok = ok;
   global.OneKit = OneKit;
 
+  if (!hasDOM) return;
+
   // Add global error handlers
   window.addEventListener('unhandledrejection', function(event) {
     errorHandler(event.reason, 'Unhandled Promise Rejection');
@@ -2660,7 +6968,8 @@
 
   document.addEventListener('DOMContentLoaded', function() {
     if (ok.theme && ok.theme.load) { ok.theme.load(); }
-    if (ok.router && typeof ok.router.init === 'function') { ok.router.init(); }
+    if (ok.directive && ok.directive.start) { ok.directive.start(); }
+    if (ok.router && ok.router.start) { ok.router.start(); }
   });
 
 })(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
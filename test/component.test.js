@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, tick } = require('./helpers');
+
+test('@event in templates supports the ok-on key, .self and .once modifiers', async () => {
+  const w = load();
+  w.ok.component.register('x-keys', {
+    data: () => ({ saved: 0, opened: 0 }),
+    template: '<div><input @keydown.enter="saved++"><p @click.self.once="opened++"><span>in</span></p></div>'
+  });
+  const instance = w.ok.component.create('x-keys');
+  w.ok.component.mount(instance, '#app');
+  const input = w.document.querySelector('input');
+  const key = name => new w.KeyboardEvent('keydown', { key: name, bubbles: true });
+
+  input.dispatchEvent(key('a'));
+  input.dispatchEvent(key('Enter'));
+  assert.strictEqual(instance.state.saved, 1);
+
+  w.document.querySelector('span').click();
+  assert.strictEqual(instance.state.opened, 0);
+  w.document.querySelector('p').click();
+  await tick();
+  w.document.querySelector('p').click();
+  assert.strictEqual(instance.state.opened, 1);
+});
+
+test('a failing template expression renders empty without blanking the component', () => {
+  const w = load();
+  const errors = [];
+  w.addEventListener('onekit-error', e => errors.push(e.detail));
+  w.console.error = () => {};
+  w.ok.component.register('x-total', {
+    data: () => ({ count: 2 }),
+    template: '<p>{{ count }} items, {{ missing() }} total</p>'
+  });
+  w.ok.component.mount(w.ok.component.create('x-total'), '#app');
+
+  assert.strictEqual(w.document.querySelector('p').textContent, '2 items,  total');
+  assert.strictEqual(errors.length, 1);
+});
+
+test('methods rethrow errors that no errorCaptured hook claims', () => {
+  const w = load();
+  w.console.error = () => {};
+  w.ok.component.register('x-save', {
+    template: '<p></p>',
+    methods: { save() { throw new Error('offline'); } }
+  });
+  const instance = w.ok.component.create('x-save');
+
+  assert.throws(() => instance.save(), /offline/);
+});
+
+test('a template whose root is a block renders the branch that is shown', async () => {
+  const w = load();
+  w.ok.component.register('x-toggle', {
+    data: () => ({ on: true }),
+    template: '{{#if on}}<p>a</p>{{else}}<p>b</p>{{/if}}'
+  });
+  const instance = w.ok.component.create('x-toggle');
+  w.ok.component.mount(instance, '#app');
+  const app = w.document.getElementById('app');
+  assert.strictEqual(app.innerHTML, '<p>a</p>');
+
+  instance.state.on = false;
+  await w.ok.reactive.nextTick();
+  assert.strictEqual(app.innerHTML, '<p>b</p>');
+});
+
+test('state changes re-render once per tick and drive computed values and watchers', async () => {
+  const w = load();
+  const seen = [];
+  let updates = 0;
+  w.ok.component.register('x-cart', {
+    data: () => ({ items: [], taxRate: 0.5 }),
+    computed: {
+      total() {
+        return this.state.items.reduce((sum, item) => sum + item.price, 0) * (1 + this.state.taxRate);
+      }
+    },
+    watch: {
+      total(value, oldValue) { seen.push([value, oldValue]); },
+      items: { handler: 'saved', deep: true }
+    },
+    methods: {
+      saved() { seen.push('saved'); }
+    },
+    updated() { updates++; },
+    template: '<p>{{ items.length }} items, {{ total }}</p>'
+  });
+  const instance = w.ok.component.create('x-cart');
+  w.ok.component.mount(instance, '#app');
+  const p = () => w.document.querySelector('p').textContent;
+  assert.strictEqual(p(), '0 items, 0');
+
+  instance.state.items.push({ price: 10 });
+  instance.state.taxRate = 1;
+  await tick();
+  assert.strictEqual(p(), '1 items, 20');
+  assert.strictEqual(updates, 1);
+  assert.strictEqual(instance.total, 20);
+  assert.deepStrictEqual(seen, [[20, 0], 'saved']);
+
+  w.ok.component.destroy(instance);
+  instance.state.taxRate = 0;
+  await tick();
+  assert.strictEqual(seen.length, 2);
+  assert.strictEqual(updates, 1);
+});
+
+test('child components get props, update with the parent and are destroyed with it', async () => {
+  const w = load();
+  const destroyed = [];
+  w.ok.component.register('counter', {
+    props: { start: 0, label: 'Count' },
+    template: '<div class="counter">{{ label }}: {{ start }} <slot name="hint"></slot></div>',
+    destroyed() { destroyed.push(this.props.label); }
+  });
+  w.ok.component.register('x-dashboard', {
+    data: () => ({ visits: 5, pages: [{ id: 1, views: 3 }, { id: 2, views: 4 }] }),
+    template: `
+      <section>
+        <ok-counter :start="visits" label="Visits"><small slot="hint">today</small></ok-counter>
+        {{#each pages as page}}
+          <ok-counter :key="page.id" :start="page.views" label="Page"></ok-counter>
+        {{/each}}
+      </section>
+    `
+  });
+  const parent = w.ok.component.create('x-dashboard');
+  w.ok.component.mount(parent, '#app');
+  const texts = () => Array.from(w.document.querySelectorAll('.counter'), el => el.textContent.trim());
+
+  assert.deepStrictEqual(texts(), ['Visits: 5 today', 'Page: 3', 'Page: 4']);
+  assert.strictEqual(parent.children.length, 3);
+  const child = w.ok.component.getInstance(w.document.querySelector('.counter'));
+  assert.strictEqual(child.parent, parent);
+  assert.strictEqual(child.props.start, 5);
+
+  parent.state.visits = 6;
+  parent.state.pages.pop();
+  await tick();
+  assert.deepStrictEqual(texts(), ['Visits: 6 today', 'Page: 3']);
+  assert.strictEqual(w.ok.component.getInstance(w.document.querySelector('.counter')), child);
+  assert.deepStrictEqual(destroyed, ['Page']);
+  assert.strictEqual(parent.children.length, 2);
+
+  w.ok.component.destroy(parent);
+  assert.deepStrictEqual(destroyed.sort(), ['Page', 'Page', 'Visits']);
+});
+
+test('define turns a component into a custom element', async () => {
+  const w = load();
+  const log = [];
+  w.ok.component.define('ok-user-card', {
+    props: { name: '', age: 0, admin: false, tags: [] },
+    template: '<div class="card"><h3>{{ name }} ({{ age }})</h3>{{#if admin}}<span class="badge">Admin</span>{{/if}}<i>{{ tags.length }}</i><button @click="emit(\'select\', name)">Select</button></div>',
+    mounted() { log.push('mounted'); },
+    beforeDestroy() { log.push('destroy'); }
+  });
+  const app = w.document.getElementById('app');
+  app.innerHTML = '<ok-user-card name="Ann" age="30" admin></ok-user-card><div id="other"></div>';
+  const card = app.querySelector('ok-user-card');
+  const instance = w.ok.component.getInstance(card);
+
+  assert.strictEqual(card.querySelector('h3').textContent, 'Ann (30)');
+  assert.ok(card.querySelector('.badge'));
+  assert.strictEqual(instance.props.age, 30);
+  assert.strictEqual(instance.props.admin, true);
+
+  card.setAttribute('age', '31');
+  card.tags = ['editor'];
+  await tick();
+  assert.strictEqual(card.querySelector('h3').textContent, 'Ann (31)');
+  assert.strictEqual(card.querySelector('i').textContent, '1');
+
+  const selected = [];
+  card.addEventListener('select', e => selected.push(e.detail));
+  card.querySelector('button').click();
+  assert.deepStrictEqual(selected, ['Ann']);
+
+  w.document.getElementById('other').appendChild(card);
+  await tick();
+  assert.deepStrictEqual(log, ['mounted']);
+  card.remove();
+  await tick();
+  assert.deepStrictEqual(log, ['mounted', 'destroy']);
+});
+
+test('define can render into a shadow root with scoped styles', () => {
+  const w = load();
+  w.ok.component.register('x-badge', {
+    props: { label: '' },
+    styles: '.badge { color: red; }',
+    template: '<span class="badge">{{ label }} <slot></slot></span>'
+  });
+  w.ok.component.define('ok-badge', 'x-badge', { shadow: true });
+  w.document.getElementById('app').innerHTML = '<ok-badge label="New"><b>!</b></ok-badge>';
+  const el = w.document.querySelector('ok-badge');
+
+  assert.ok(el.shadowRoot);
+  assert.strictEqual(el.shadowRoot.querySelector('.badge').textContent.trim(), 'New');
+  assert.ok(el.shadowRoot.querySelector('style').textContent.includes('.badge'));
+  assert.strictEqual(el.querySelector('b').textContent, '!');
+});
+
+test('inject resolves the nearest provider and app-level values, and stays reactive', async () => {
+  const w = load();
+  const store = w.ok.reactive.reactive({ user: 'Ann' });
+  w.ok.component.provide('store', store);
+  w.ok.component.register('toolbar', {
+    inject: ['theme', 'store', 'size'],
+    template: '<nav class="{{ theme }}">{{ store.user }}</nav>'
+  });
+  w.ok.component.register('x-panel', {
+    inject: { theme: 'theme', size: { from: 'panelSize', default: 'md' } },
+    provide: { theme: 'dark' },
+    template: '<aside>{{ size }}<ok-toolbar></ok-toolbar></aside>'
+  });
+  w.ok.component.register('x-shell', {
+    data: () => ({ theme: 'light' }),
+    provide() {
+      return { theme: this.state.theme };
+    },
+    template: '<main><ok-toolbar></ok-toolbar><x-panel></x-panel></main>'
+  });
+  const shell = w.ok.component.create('x-shell');
+  w.ok.component.mount(shell, '#app');
+  const navs = () => Array.from(w.document.querySelectorAll('nav'), nav => `${nav.className}:${nav.textContent}`);
+
+  assert.deepStrictEqual(navs(), ['light:Ann', 'dark:Ann']);
+  assert.strictEqual(w.document.querySelector('aside').firstChild.textContent, 'md');
+  const toolbar = w.ok.component.getInstance(w.document.querySelector('nav'));
+  assert.strictEqual(toolbar.theme, 'light');
+  assert.strictEqual(toolbar.injected.store.user, 'Ann');
+
+  shell.state.theme = 'blue';
+  store.user = 'Bo';
+  await tick();
+  assert.deepStrictEqual(navs(), ['blue:Bo', 'dark:Bo']);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('ok-on with .outside fires for clicks outside the element only', () => {
+  const w = load('<div id="menu" ok-on:click.outside="closed++"><button id="inside">in</button></div><button id="elsewhere">out</button>');
+  const state = w.ok.reactive.reactive({ closed: 0 });
+  w.ok.directive.mount(w.document.getElementById('menu'), state);
+
+  w.document.getElementById('elsewhere').click();
+  assert.strictEqual(state.closed, 1);
+
+  w.document.getElementById('inside').click();
+  assert.strictEqual(state.closed, 1);
+});
+
+test('ok-if on an ok-for element filters the items', async () => {
+  const w = load(`
+    <ul id="list"><li ok-for="todo in todos" ok-key="todo.id" ok-if="!todo.done" ok-text="todo.title"></li></ul>
+    <div id="blocks"><template ok-for="todo in todos"><p ok-if="todo.done" ok-text="todo.title"></p></template></div>`);
+  const state = w.ok.reactive.reactive({
+    todos: [{ id: 1, title: 'a', done: false }, { id: 2, title: 'b', done: true }, { id: 3, title: 'c', done: false }]
+  });
+  w.ok.directive.mount(w.document.getElementById('list'), state);
+  w.ok.directive.mount(w.document.getElementById('blocks'), state);
+  const texts = selector => Array.from(w.document.querySelectorAll(selector)).map(el => el.textContent);
+
+  assert.deepStrictEqual(texts('#list li'), ['a', 'c']);
+  assert.deepStrictEqual(texts('#blocks p'), ['b']);
+
+  state.todos[0].done = true;
+  await w.ok.reactive.nextTick();
+  assert.deepStrictEqual(texts('#list li'), ['c']);
+  assert.deepStrictEqual(texts('#blocks p'), ['a', 'b']);
+});
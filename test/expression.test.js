@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ok } = require('../onekit.js');
+const { load } = require('./helpers');
+
+const evaluate = (expression, scope = {}) => ok.expression.evaluate(expression, [scope]);
+
+test('expressions cannot reach Function through reflection', () => {
+  assert.throws(() => evaluate("Object.getOwnPropertyDescriptor(Object.getPrototypeOf(() => 1), 'constructor').value('return this')()"));
+  assert.throws(() => evaluate("constructor.getOwnPropertyDescriptor(constructor.getPrototypeOf(() => 1), 'constructor').value('return this')()"));
+  assert.throws(() => evaluate("x['constr' + 'uctor']", { x: {} }));
+  assert.strictEqual(evaluate('valueOf'), undefined);
+});
+
+test('expressions keep the harmless Object helpers', () => {
+  assert.deepStrictEqual(evaluate('Object.keys(user)', { user: { name: 'Ada', age: 36 } }), ['name', 'age']);
+});
+
+test('computed keys are checked as the property key they become', () => {
+  assert.throws(() => evaluate("''[['constructor']][['constructor']]('return 42')()"), /not allowed/);
+  assert.strictEqual(evaluate("list[['0']]", { list: ['a'] }), 'a');
+});
+
+test('directive expressions cannot reach the window through $el', () => {
+  const w = load('<button ok-on:click="r = $el.ownerDocument.defaultView.Function(\'return 7\')()"></button>');
+  const errors = [];
+  w.addEventListener('onekit-error', e => errors.push(e.detail));
+  w.console.error = () => {};
+  const state = w.ok.reactive.reactive({ r: 0 });
+  w.ok.directive.mount(w.document.querySelector('button'), state);
+
+  w.document.querySelector('button').click();
+  assert.strictEqual(state.r, 0);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('template literals interpolate their expressions', () => {
+  assert.strictEqual(evaluate('`Hi ${user.name}, ${n + 1} new`', { user: { name: 'Ada' }, n: 1 }), 'Hi Ada, 2 new');
+  assert.strictEqual(evaluate('`a ${ { b: "}" }.b } c`'), 'a } c');
+  assert.throws(() => evaluate('`open'), SyntaxError);
+});
+
+test('an optional link short-circuits the rest of the chain', () => {
+  assert.strictEqual(evaluate('a?.b.c', {}), undefined);
+  assert.strictEqual(evaluate('a?.b.c()', {}), undefined);
+  assert.strictEqual(evaluate('a?.b.c', { a: { b: { c: 3 } } }), 3);
+  assert.throws(() => evaluate('(a?.b).c', {}), TypeError);
+});
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'onekit.js'), 'utf8');
+
+// A fresh window with onekit.js loaded, as a page would have it
+function load(html = '<div id="app"></div>', url = 'http://localhost/') {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { runScripts: 'outside-only', url });
+  dom.window.eval(source);
+  return dom.window;
+}
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { load, tick };
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('function plugins become collection methods in every namespace but directive', () => {
+  const w = load('<p id="a"></p>');
+  w.ok.plugin.register('highlight', function() { return 'default'; });
+  w.ok.plugin.register('shout', function() { return 'ui'; }, 'ui');
+  w.ok.plugin.directive('ripple', el => el.classList.add('ripple'));
+
+  assert.strictEqual(w.ok('#a').highlight(), 'default');
+  assert.strictEqual(w.ok('#a').shout(), 'ui');
+  assert.strictEqual(w.ok('#a').ripple, undefined);
+  assert.strictEqual(typeof w.ok.plugin.get('ripple', 'directive'), 'function');
+});
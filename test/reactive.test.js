@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, tick } = require('./helpers');
+
+test('history undo and redo keep nested arrays in place', () => {
+  const w = load();
+  const state = w.ok.reactive.reactive({ todo: { items: [1, 2] } });
+  const history = w.ok.reactive.history(state);
+  const items = state.todo.items;
+
+  items.push(3);
+  history.undo();
+  assert.strictEqual(state.todo.items, items);
+  assert.deepStrictEqual(Array.from(items), [1, 2]);
+
+  history.redo();
+  assert.strictEqual(state.todo.items, items);
+  assert.deepStrictEqual(Array.from(items), [1, 2, 3]);
+});
+
+test('frozen and read-only values are returned raw instead of breaking the proxy', () => {
+  const w = load();
+  const state = w.ok.reactive.reactive({ cfg: Object.freeze({ a: { b: 1 } }) });
+  Object.defineProperty(state, 'fixed', { value: { c: 2 }, writable: false, configurable: false, enumerable: true });
+
+  assert.strictEqual(state.cfg.a.b, 1);
+  assert.strictEqual(state.fixed.c, 2);
+  assert.strictEqual(w.ok.reactive.isReactive(state.cfg), false);
+});
+
+test('symbol keys can be set on reactive arrays', () => {
+  const w = load();
+  const list = w.ok.reactive.reactive([1]);
+  const key = Symbol('x');
+
+  list[key] = 1;
+  assert.strictEqual(list[key], 1);
+});
+
+test('watch is scoped to the object it is given', async () => {
+  const w = load();
+  const a = w.ok.reactive.reactive({ count: 0 });
+  const b = w.ok.reactive.reactive({ count: 0 });
+  const calls = [];
+
+  const unwatch = w.ok.reactive.watch(a, 'count', (value, old) => calls.push(['a', value, old]));
+  b.$watch('count', value => calls.push(['b', value]));
+
+  a.count = 1;
+  b.count = 5;
+  await tick();
+  assert.deepStrictEqual(calls, [['a', 1, 0], ['b', 5]]);
+
+  unwatch();
+  a.count = 2;
+  await tick();
+  assert.strictEqual(calls.length, 2);
+});
+
+test('watch accepts paths and getters and honours deep and immediate', async () => {
+  const w = load();
+  const state = w.ok.reactive.reactive({ count: 1, user: { name: 'Ada', tags: [] } });
+  const names = [];
+  const doubles = [];
+  const users = [];
+
+  w.ok.reactive.watch(state, 'user.name', (name, old) => names.push([name, old]));
+  w.ok.reactive.watch(() => state.count * 2, value => doubles.push(value));
+  w.ok.reactive.watch(state, 'user', (user, old, change) => users.push(change && change.path), { deep: true, immediate: true });
+  assert.strictEqual(users.length, 1);
+
+  state.user.name = 'Grace';
+  state.count = 3;
+  await tick();
+  assert.deepStrictEqual(names, [['Grace', 'Ada']]);
+  assert.deepStrictEqual(doubles, [6]);
+
+  state.user.tags.push('admin');
+  await tick();
+  assert.strictEqual(users[users.length - 1], 'user.tags');
+});
+
+test('computed caches until what it read changes and can be stopped', () => {
+  const w = load();
+  const cart = w.ok.reactive.reactive({ items: [], taxRate: 0.5 });
+  let runs = 0;
+  const total = w.ok.reactive.computed(() => {
+    runs++;
+    return cart.items.reduce((sum, item) => sum + item.price, 0) * (1 + cart.taxRate);
+  });
+
+  assert.strictEqual(runs, 0);
+  assert.strictEqual(total.value, 0);
+  assert.strictEqual(total.value, 0);
+  assert.strictEqual(runs, 1);
+
+  cart.items.push({ price: 10 });
+  assert.strictEqual(total.value, 15);
+  assert.strictEqual(runs, 2);
+
+  total.stop();
+  cart.taxRate = 0;
+  assert.strictEqual(total.value, 15);
+});
+
+test('effect re-runs once per tick, can be scheduled and stopped', async () => {
+  const w = load();
+  const state = w.ok.reactive.reactive({ a: 1, b: 1 });
+  const seen = [];
+  const runner = w.ok.reactive.effect(() => seen.push(state.a + state.b));
+
+  state.a = 2;
+  state.b = 2;
+  assert.deepStrictEqual(seen, [2]);
+  await tick();
+  assert.deepStrictEqual(seen, [2, 4]);
+
+  runner.stop();
+  state.a = 3;
+  await tick();
+  assert.deepStrictEqual(seen, [2, 4]);
+
+  const pending = [];
+  const other = [];
+  w.ok.reactive.effect(() => other.push(state.b), { scheduler: run => pending.push(run) });
+  state.b = 5;
+  assert.deepStrictEqual(other, [2]);
+  pending.forEach(run => run());
+  assert.deepStrictEqual(other, [2, 5]);
+});
+
+test('untracked reads do not subscribe the running effect', () => {
+  const w = load();
+  const state = w.ok.reactive.reactive({ a: 1, b: 1 });
+  let runs = 0;
+  w.ok.reactive.effect(() => {
+    runs++;
+    return state.a + w.ok.reactive.untracked(() => state.b);
+  }, { flush: 'sync' });
+
+  state.b = 2;
+  assert.strictEqual(runs, 1);
+  state.a = 2;
+  assert.strictEqual(runs, 2);
+});
+
+test('bind keeps text inputs and state in sync and unbinds', async () => {
+  const w = load('<input id="name"><input id="age">');
+  const form = w.ok.reactive.reactive({ user: { name: '', age: 0 } });
+  const name = w.document.getElementById('name');
+  const age = w.document.getElementById('age');
+
+  const unbind = w.ok.reactive.bind('#name', form, 'user.name', { trim: true });
+  w.ok.reactive.bind(age, form, 'user.age', { number: true, lazy: true });
+
+  name.value = '  Ada ';
+  name.dispatchEvent(new w.Event('input'));
+  assert.strictEqual(form.user.name, 'Ada');
+
+  age.value = '36';
+  age.dispatchEvent(new w.Event('input'));
+  assert.strictEqual(form.user.age, 0);
+  age.dispatchEvent(new w.Event('change'));
+  assert.strictEqual(form.user.age, 36);
+
+  form.user.name = 'Grace';
+  await tick();
+  assert.strictEqual(name.value, 'Grace');
+
+  unbind();
+  form.user.name = 'Linus';
+  await tick();
+  assert.strictEqual(name.value, 'Grace');
+  name.value = 'Ken';
+  name.dispatchEvent(new w.Event('input'));
+  assert.strictEqual(form.user.name, 'Linus');
+});
+
+test('bind handles checkboxes, radios, multiple selects and contenteditable', async () => {
+  const w = load(`
+    <input type="checkbox" id="news">
+    <input type="checkbox" name="tags" value="a"><input type="checkbox" name="tags" value="b">
+    <input type="radio" name="plan" value="free"><input type="radio" name="plan" value="pro">
+    <select id="langs" multiple><option>js</option><option>go</option></select>
+    <div id="bio" contenteditable="true"></div>`);
+  const d = w.document;
+  const form = w.ok.reactive.reactive({ news: false, tags: ['b'], plan: 'free', langs: [], bio: 'hi' });
+
+  w.ok.reactive.bind('#news', form, 'news');
+  d.querySelectorAll('[name=tags]').forEach(el => w.ok.reactive.bind(el, form, 'tags'));
+  d.querySelectorAll('[name=plan]').forEach(el => w.ok.reactive.bind(el, form, 'plan'));
+  w.ok.reactive.bind('#langs', form, 'langs');
+  w.ok.reactive.bind('#bio', form, 'bio');
+
+  const [tagA, tagB] = d.querySelectorAll('[name=tags]');
+  const [free, pro] = d.querySelectorAll('[name=plan]');
+  assert.strictEqual(tagB.checked, true);
+  assert.strictEqual(free.checked, true);
+  assert.strictEqual(d.getElementById('bio').textContent, 'hi');
+
+  d.getElementById('news').checked = true;
+  d.getElementById('news').dispatchEvent(new w.Event('change'));
+  tagA.checked = true;
+  tagA.dispatchEvent(new w.Event('change'));
+  pro.checked = true;
+  pro.dispatchEvent(new w.Event('change'));
+  d.querySelector('option').selected = true;
+  d.getElementById('langs').dispatchEvent(new w.Event('change'));
+  d.getElementById('bio').textContent = 'bye';
+  d.getElementById('bio').dispatchEvent(new w.Event('input'));
+
+  assert.strictEqual(form.news, true);
+  assert.deepStrictEqual(Array.from(form.tags), ['b', 'a']);
+  assert.strictEqual(form.plan, 'pro');
+  assert.deepStrictEqual(Array.from(form.langs), ['js']);
+  assert.strictEqual(form.bio, 'bye');
+
+  form.tags.splice(0, 1);
+  form.plan = 'free';
+  await tick();
+  assert.strictEqual(tagB.checked, false);
+  assert.strictEqual(free.checked, true);
+});
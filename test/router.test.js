@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, tick } = require('./helpers');
+
+test('a reused route component drops props the new navigation leaves out', async () => {
+  const w = load();
+  w.ok.component.register('user-page', {
+    props: { id: '', tab: 'profile' },
+    template: '<p>{{ id }} {{ tab }} {{ note }}</p>'
+  });
+  w.ok.router.add('/user/:id', 'user-page').init({ mode: 'memory', initial: '/user/1' });
+  await tick();
+  const text = () => w.document.querySelector('#app p').textContent;
+
+  await w.ok.router.navigate('/user/2', { tab: 'posts', note: 'hi' });
+  await w.ok.reactive.nextTick();
+  assert.strictEqual(text(), '2 posts hi');
+
+  await w.ok.router.navigate('/user/3');
+  await w.ok.reactive.nextTick();
+  assert.strictEqual(text(), '3 profile ');
+  assert.ok(!('note' in w.ok.component.getInstance(w.document.querySelector('#app p')).props));
+});
+
+test('a cancelled back/forward in memory mode leaves the history stack as it was', async () => {
+  const w = load();
+  ['a', 'b', 'c'].forEach(name => w.ok.component.register(`page-${name}`, { template: `<p>${name}</p>` }));
+  let dirty = false;
+  w.ok.router
+    .add('/a', 'page-a')
+    .add('/b', 'page-b')
+    .add('/c', 'page-c', { beforeLeave: () => !dirty })
+    .init({ mode: 'memory', initial: '/a' });
+  await tick();
+  await w.ok.router.navigate('/b');
+  await w.ok.router.navigate('/c');
+
+  dirty = true;
+  w.ok.router.go(-2);
+  await tick();
+  w.ok.router.back();
+  await tick();
+  assert.strictEqual(w.ok.router.current().path, '/c');
+
+  // Still three entries: back walks /b then /a and stops there
+  dirty = false;
+  const visited = [];
+  for (let i = 0; i < 3; i++) {
+    w.ok.router.back();
+    await tick();
+    visited.push(w.ok.router.current().path);
+  }
+  assert.deepStrictEqual(visited, ['/b', '/a', '/a']);
+
+  w.ok.router.forward();
+  await tick();
+  assert.strictEqual(w.ok.router.current().path, '/b');
+});
+
+test('DOMContentLoaded does not run the first navigation again after init()', async () => {
+  const w = load();
+  w.ok.component.register('home-page', { template: '<p>home</p>' });
+  let guarded = 0;
+  w.ok.router.beforeEach(() => { guarded++; });
+  w.ok.router.add('/', 'home-page').init({ mode: 'memory' });
+  w.document.dispatchEvent(new w.Event('DOMContentLoaded'));
+
+  assert.strictEqual(await w.ok.router.ready, true);
+  await tick();
+  assert.strictEqual(guarded, 1);
+  assert.strictEqual(w.document.querySelector('#app p').textContent, 'home');
+});
+
+test('query arrays written by url() are read back as arrays', async () => {
+  const w = load();
+  w.ok.component.register('search-page', { template: '<p>search</p>' });
+  w.ok.router.add('/search', 'search-page', { name: 'search' }).init({ mode: 'memory', initial: '/search' });
+  await tick();
+
+  const href = w.ok.router.url('search', {}, { tag: ['a', 'b'], page: 2 });
+  assert.strictEqual(href, '/search?tag=a&tag=b&page=2');
+  await w.ok.router.navigate(href);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(w.ok.router.current().query)), { tag: ['a', 'b'], page: '2' });
+});
+
+test('function views only run when they render, loaders need lazy: true', async () => {
+  const w = load();
+  let calls = 0;
+  w.ok.router
+    .add('/plain', () => { calls++; return '<p>plain</p>'; })
+    .add('/admin', () => Promise.resolve({ default: { template: '<p>admin</p>' } }), { lazy: true })
+    .init({ mode: 'memory', initial: '/plain' });
+  await w.ok.router.ready;
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(w.document.querySelector('#app').textContent, 'plain');
+
+  assert.strictEqual(await w.ok.router.navigate('/admin'), true);
+  assert.strictEqual(w.document.querySelector('#app').textContent, 'admin');
+  assert.strictEqual(calls, 1);
+});
+
+test('ok.utils.parseQuery keeps the last value of a repeated key', () => {
+  const w = load();
+  assert.deepStrictEqual({ ...w.ok.utils.parseQuery('?a=1&a=2') }, { a: '2' });
+});
+
+test('url() encodes params, keeps splat slashes and enforces constraints', () => {
+  const w = load();
+  const errors = [];
+  w.console.error = message => errors.push(message);
+  w.ok.router
+    .add('/users/:id(\\d+)', 'user-profile', { name: 'user' })
+    .add('/docs/:path*', 'docs-page', { name: 'docs' })
+    .add('/posts/:slug/:page?', 'post-page', { name: 'post' });
+
+  assert.strictEqual(w.ok.router.url('user', { id: 42 }, { tab: 'posts' }), '/users/42?tab=posts');
+  assert.strictEqual(w.ok.router.url('docs', { path: 'guide/a b' }), '/docs/guide/a%20b');
+  assert.strictEqual(w.ok.router.url('post', { slug: 'a/b & c' }), '/posts/a%2Fb%20%26%20c');
+  assert.strictEqual(w.ok.router.url('post', { slug: 'x', page: 2 }), '/posts/x/2');
+
+  assert.strictEqual(w.ok.router.url('user', { id: 'abc' }), null);
+  assert.strictEqual(w.ok.router.url('user', {}), null);
+  assert.strictEqual(w.ok.router.url('missing'), null);
+  assert.strictEqual(errors.length, 3);
+});
+
+test('url() applies the base in history mode and # in hash mode', () => {
+  const history = load();
+  history.ok.router.setBase('/app').add('/users/:id', 'user-profile', { name: 'user' });
+  assert.strictEqual(history.ok.router.url('user', { id: 1 }), '/app/users/1');
+
+  const hash = load();
+  hash.ok.router.add('/users/:id', 'user-profile', { name: 'user' }).init({ mode: 'hash' });
+  assert.strictEqual(hash.ok.router.url('user', { id: 1 }), '#/users/1');
+});
+
+test('navigate({ name }) builds the path from the named route', async () => {
+  const w = load();
+  w.ok.component.register('user-page', { props: { id: '' }, template: '<p>user {{ id }}</p>' });
+  w.ok.router.add('/users/:id', 'user-page', { name: 'user' }).init({ mode: 'memory', initial: '/users/1' });
+  await w.ok.router.ready;
+
+  assert.strictEqual(await w.ok.router.navigate({ name: 'user', params: { id: 7 }, query: { tab: 'posts' }, hash: 'top' }), true);
+  const route = w.ok.router.current();
+  assert.strictEqual(route.fullPath, '/users/7?tab=posts#top');
+  assert.strictEqual(route.params.id, '7');
+  assert.strictEqual(w.document.querySelector('#app p').textContent, 'user 7');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ok } = require('../onekit.js');
+const { load, tick } = require('./helpers');
+
+const card = {
+  props: { title: '' },
+  data: () => ({ note: '"quoted" & <b>', n: 1 }),
+  template: '<div class="card" :title="title"><h2>{{ title }}</h2><p>{{ note }}</p><button @click="n++">{{ n }}</button></div>'
+};
+ok.component.register('ssr-card', card);
+
+test('renderToString runs under plain Node and escapes text and attributes', () => {
+  assert.strictEqual(typeof document, 'undefined');
+  const html = ok.component.renderToString('ssr-card', { title: 'A "b" <c> & d' });
+
+  assert.match(html, /^<div class="card" title="A &quot;b&quot; &lt;c&gt; &amp; d" data-ok-component="ssr-card"/);
+  assert.match(html, /<h2>A &quot;b&quot; &lt;c&gt; &amp; d<\/h2><p>&quot;quoted&quot; &amp; &lt;b&gt;<\/p><button>1<\/button>/);
+});
+
+test('serialized props and state are escaped JSON that reads back unchanged', () => {
+  const html = ok.component.renderToString('ssr-card', { title: '</div><script>' });
+  const w = load(html);
+  const el = w.document.querySelector('[data-ok-component]');
+
+  assert.strictEqual(w.document.querySelectorAll('script').length, 0);
+  assert.deepStrictEqual(JSON.parse(el.getAttribute('data-ok-props')), { title: '</div><script>' });
+  assert.deepStrictEqual(JSON.parse(el.getAttribute('data-ok-state')), { note: '"quoted" & <b>', n: 1 });
+});
+
+test('hydrate reuses the server-rendered nodes and attaches handlers', async () => {
+  const html = ok.component.renderToString('ssr-card', { title: 'Hello' });
+  const w = load(html);
+  w.ok.component.register('ssr-card', card);
+  const root = w.document.querySelector('.card');
+  const button = root.querySelector('button');
+
+  const [instance] = w.ok.component.hydrate(w.document.body);
+  assert.strictEqual(instance.element, root);
+  assert.strictEqual(w.document.querySelector('button'), button);
+
+  button.click();
+  await tick();
+  assert.strictEqual(button.textContent, '2');
+  assert.strictEqual(w.document.querySelectorAll('.card').length, 1);
+});
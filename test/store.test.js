@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+// The store clones its state with the page's Array, so arrays come from the window too
+function todoStore(w, extra = {}) {
+  return w.ok.createStore({
+    state: { todos: new w.Array(), filter: 'all' },
+    getters: {
+      remaining: state => state.todos.filter(todo => !todo.done).length,
+      summary: (state, getters) => `${getters.remaining} left`
+    },
+    mutations: {
+      add(state, text) { state.todos.push({ text, done: false }); },
+      toggle(state, index) { state.todos[index].done = !state.todos[index].done; },
+      setFilter(state, filter) { state.filter = filter; }
+    },
+    actions: {
+      addLater({ commit }, text) { return Promise.resolve().then(() => commit('add', text)); },
+      fail() { return Promise.reject(new Error('offline')); }
+    },
+    ...extra
+  });
+}
+
+const texts = store => Array.from(store.state.todos, todo => todo.text);
+
+test('commit runs mutations, notifies subscribers and updates getters', () => {
+  const w = load();
+  const store = todoStore(w);
+  const seen = [];
+  const unsubscribe = store.subscribe(mutation => seen.push([mutation.type, mutation.payload]));
+
+  store.commit('add', 'a');
+  store.commit('add', 'b');
+  store.commit('toggle', 0);
+  assert.deepStrictEqual(texts(store), ['a', 'b']);
+  assert.strictEqual(store.getters.remaining, 1);
+  assert.strictEqual(store.getters.summary, '1 left');
+  assert.deepStrictEqual(seen, [['add', 'a'], ['add', 'b'], ['toggle', 0]]);
+
+  unsubscribe();
+  store.commit('setFilter', 'done');
+  assert.strictEqual(seen.length, 3);
+});
+
+test('undo, redo and travel move through the recorded mutations', () => {
+  const w = load();
+  const store = todoStore(w);
+  store.commit('add', 'a');
+  store.commit('add', 'b');
+  store.commit('add', 'c');
+
+  assert.strictEqual(store.undo(), true);
+  assert.deepStrictEqual(texts(store), ['a', 'b']);
+  store.undo();
+  assert.deepStrictEqual(texts(store), ['a']);
+  assert.strictEqual(store.getters.remaining, 1);
+
+  store.redo();
+  assert.deepStrictEqual(texts(store), ['a', 'b']);
+
+  store.travel(1);
+  assert.deepStrictEqual(texts(store), ['a']);
+  assert.deepStrictEqual(Array.from(store.history(), entry => entry.type), ['@@init', 'add', 'add', 'add']);
+  assert.strictEqual(store.history().findIndex(entry => entry.current), 1);
+
+  store.travel(0);
+  assert.deepStrictEqual(texts(store), []);
+});
+
+test('dispatch records actions in the action log', async () => {
+  const w = load();
+  w.console.error = () => {};
+  const store = todoStore(w);
+
+  await store.dispatch('addLater', 'x');
+  await store.dispatch('fail').catch(() => {});
+  assert.deepStrictEqual(texts(store), ['x']);
+  assert.deepStrictEqual(Array.from(store.actions(), action => [action.type, action.status]), [['addLater', 'done'], ['fail', 'error']]);
+  assert.strictEqual(store.actions()[1].error.message, 'offline');
+});
+
+test('persisted paths are saved after commits and restored by a new store', () => {
+  const w = load();
+  const persist = { key: 'todo-store', paths: ['todos'] };
+  const first = todoStore(w, { persist });
+  first.commit('add', 'saved');
+  first.commit('setFilter', 'done');
+
+  const second = todoStore(w, { persist });
+  assert.deepStrictEqual(texts(second), ['saved']);
+  assert.strictEqual(second.state.filter, 'all');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+function setup() {
+  const w = load();
+  const { h, Fragment } = w.ok.vdom;
+  const app = w.document.getElementById('app');
+  const list = keys => h('ul', null, keys.map(key => h('li', { key }, key)));
+  const items = () => Array.from(app.querySelectorAll('li'));
+  return { w, h, Fragment, app, list, items };
+}
+
+test('keyed children are moved, not recreated, when reordered', () => {
+  const { w, app, list, items } = setup();
+  w.ok.vdom.render(list(['a', 'b', 'c', 'd', 'e']), app);
+  const [a, b, c, d, e] = items();
+
+  w.ok.vdom.render(list(['e', 'b', 'c', 'd', 'a']), app);
+  assert.deepStrictEqual(items(), [e, b, c, d, a]);
+
+  w.ok.vdom.render(list(['d', 'a', 'e', 'c', 'b']), app);
+  assert.deepStrictEqual(items(), [d, a, e, c, b]);
+  assert.deepStrictEqual(items().map(li => li.textContent), ['d', 'a', 'e', 'c', 'b']);
+});
+
+test('keyed children are inserted and removed around the ones that stay', () => {
+  const { w, app, list, items } = setup();
+  w.ok.vdom.render(list(['a', 'b', 'c']), app);
+  const [a, , c] = items();
+
+  w.ok.vdom.render(list(['x', 'a', 'c', 'y']), app);
+  const after = items();
+  assert.deepStrictEqual(after.map(li => li.textContent), ['x', 'a', 'c', 'y']);
+  assert.strictEqual(after[1], a);
+  assert.strictEqual(after[2], c);
+
+  w.ok.vdom.render(list([]), app);
+  assert.strictEqual(items().length, 0);
+});
+
+test('keyed fragments move with all their nodes', () => {
+  const { w, h, Fragment, app } = setup();
+  const view = keys => h('div', null, keys.map(key => h(Fragment, { key }, [h('dt', null, key), h('dd', null, key + '!')])));
+  const text = () => Array.from(app.querySelector('div').children).map(el => el.textContent);
+  w.ok.vdom.render(view(['a', 'b', 'c']), app);
+  const dtA = app.querySelector('dt');
+
+  w.ok.vdom.render(view(['c', 'a', 'b']), app);
+  assert.deepStrictEqual(text(), ['c', 'c!', 'a', 'a!', 'b', 'b!']);
+  assert.strictEqual(app.querySelectorAll('dt')[1], dtA);
+
+  w.ok.vdom.render(view(['b']), app);
+  assert.deepStrictEqual(text(), ['b', 'b!']);
+});
+
+test('patching swaps event listeners and removes old ones', () => {
+  const { w, h, app } = setup();
+  const calls = [];
+  w.ok.vdom.render(h('button', { onClick: () => calls.push('first') }, 'go'), app);
+  const button = app.querySelector('button');
+
+  w.ok.vdom.render(h('button', { onClick: () => calls.push('second') }, 'go'), app);
+  button.click();
+  assert.deepStrictEqual(calls, ['second']);
+
+  w.ok.vdom.render(h('button', null, 'go'), app);
+  button.click();
+  assert.deepStrictEqual(calls, ['second']);
+  assert.strictEqual(app.querySelector('button'), button);
+});